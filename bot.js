@@ -1,32 +1,48 @@
 // bot.js - Enhanced version with planning and evaluation
 require('dotenv').config();
 const TelegramBot = require('node-telegram-bot-api');
-const OpenAI = require('openai');
-const { google } = require('googleapis');
 const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('./lib/storage');
+const { createStateStore } = require('./lib/state');
+const { createHouseholdRegistry, runInHousehold, currentHousehold: ctx } = require('./lib/households');
+const { createAccessControl, verifyWebhookSecret } = require('./lib/access');
+const { createApiTokens, createApiRouter } = require('./lib/api');
+const { createWebSessions, createWebRouter } = require('./lib/web');
+const { getReminderSettings, updateReminderSettings, startReminderScheduler } = require('./lib/reminders');
+const { getDigestSettings, updateDigestSettings, removeDigestSettings, parseTime, startDigestScheduler } = require('./lib/digest');
+const { formatDate, isIsoDate, nowIn, startOfToday, isValidTimeZone } = require('./lib/dates');
+const { parseWhen } = require('./lib/when');
+const { findTaskMatches } = require('./lib/matching');
+const { parseQuantity, itemLabel, mergeQuantities, sameLocation, groupByStore } = require('./lib/shopping');
+const { parseDuration, formatDuration, parsePriority, estimatedMinutes, pickTasks } = require('./lib/suggestions');
+const { parsePeriod, computeStats } = require('./lib/stats');
+const { readRotation, parseRotation, describeRotation, nextTurn } = require('./lib/rotation');
+const { stepsOf, stepProgress, formatProgress, nestSteps, withoutChecklists, splitSteps } = require('./lib/subtasks');
+const { parseIntent } = require('./lib/intents');
+const { createLLM } = require('./lib/llm');
+const { createConsoleBot } = require('./lib/console-bot');
+const { createTranscriber } = require('./lib/transcription');
+const { parseMembers } = require('./lib/household');
+const { parseRecurrence, describeRecurrence, firstOccurrence, nextOccurrence } = require('./lib/recurrence');
 
 // Express server
 const app = express();
 app.use(express.json());
 const PORT = process.env.PORT || 3000;
 
-// Initialize Bot
-const bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN);
+// Initialize Bot (the simulator replaces Telegram with the console)
+const SIMULATOR = process.env.BOT_SIMULATOR === 'true';
+const bot = SIMULATOR ? createConsoleBot() : new TelegramBot(process.env.TELEGRAM_BOT_TOKEN);
 
-// Initialize OpenAI - with error checking
-let openai = null;
-if (process.env.OPENAI_API_KEY) {
-  try {
-    openai = new OpenAI({ 
-      apiKey: process.env.OPENAI_API_KEY.trim()
-    });
-    console.log('✅ OpenAI initialized');
-  } catch (error) {
-    console.error('❌ OpenAI init error:', error.message);
-  }
-} else {
-  console.log('⚠️  No OpenAI key - running without AI');
-}
+// Initialize the language model (OpenAI, local server or mock; null without AI)
+const llm = createLLM();
+
+// Speech to text for voice messages (null if off)
+const transcriber = createTranscriber();
+const MAX_VOICE_SECONDS = parseInt(process.env.MAX_VOICE_SECONDS, 10) || 120;
 
 // Debug mode from environment
 const DEBUG_MODE = process.env.DEBUG_MODE === 'true' || false;
@@ -40,41 +56,88 @@ app.use((req, res, next) => {
 app.get('/', (req, res) => res.send('Bot is running!'));
 app.get('/health', (req, res) => res.json({ 
   status: 'ok', 
-  ai: !!openai,
+  ai: !!llm,
+  llm: llm ? llm.description : null,
+  households: registry.all().length,
   debug: DEBUG_MODE,
   timestamp: new Date().toISOString()
 }));
 
-// Telegram webhook
+// Telegram webhook - with TELEGRAM_WEBHOOK_SECRET set, only requests carrying
+// the secret token header (sent by Telegram) are processed
+const WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET || null;
 app.post(`/webhook`, (req, res) => {
+  if (!verifyWebhookSecret(req.get('X-Telegram-Bot-Api-Secret-Token'), WEBHOOK_SECRET)) {
+    console.error('❌ Webhook request with invalid secret token rejected');
+    return res.sendStatus(401);
+  }
   bot.processUpdate(req.body);
   res.sendStatus(200);
 });
 
-// Google Sheets setup with error handling
-let sheets = null;
-try {
-  const credentials = JSON.parse(process.env.GOOGLE_CREDENTIALS || '{}');
-  if (credentials.client_email) {
-    const auth = new google.auth.GoogleAuth({
-      credentials: credentials,
-      scopes: ['https://www.googleapis.com/auth/spreadsheets']
-    });
-    sheets = google.sheets({ version: 'v4', auth });
-    console.log('✅ Google Sheets initialized');
-  } else {
-    console.error('❌ Invalid Google credentials');
+// Persistent bot state (reminder and digest settings, sent reminders, undo history)
+const state = createStateStore(path.resolve(process.env.STATE_PATH || 'data/state.json'));
+
+// Allowed users and chats (ALLOWED_USERS, ALLOWED_CHATS, ADMIN_USERS, /zugang)
+const access = createAccessControl(state);
+
+// REST API for the task list (API_TOKEN or tokens created with /api)
+const apiTokens = createApiTokens(state);
+
+// Web dashboard logins (links sent with /web)
+const webSessions = createWebSessions(state);
+
+// Households: task storage (Google Sheets or local file, see TASK_STORE),
+// members, settings and undo history. Every message, button and scheduler
+// run works on exactly one household (see runInHousehold / ctx()).
+const MULTI_HOUSEHOLD = process.env.MULTI_HOUSEHOLD === 'true';
+const registry = createHouseholdRegistry({
+  state,
+  createStore,
+  dataDir: path.dirname(path.resolve(process.env.STATE_PATH || 'data/state.json')),
+  multi: MULTI_HOUSEHOLD,
+  onLoad: startHouseholdSchedulers
+});
+
+app.use('/api', createApiRouter({
+  registry,
+  tokens: apiTokens,
+  actions: { listTasks, addTasks, updateFoundTask, completeFoundTask, deleteFoundTask, undoLastAction }
+}));
+
+app.use('/web', createWebRouter({
+  registry,
+  sessions: webSessions,
+  actions: {
+    listTasks,
+    groupTaskList,
+    formatDue,
+    describeRecurrence,
+    completeFoundTask,
+    updateFoundTask,
+    deleteFoundTask,
+    undoLastAction
   }
-} catch (error) {
-  console.error('❌ Google Sheets init error:', error.message);
-}
+}));
+
+// Public base URL of the server (API, web dashboard, webhook)
+const PUBLIC_URL = (process.env.PUBLIC_URL
+  || (process.env.WEBHOOK_URL ? process.env.WEBHOOK_URL.replace(/\/webhook\/?$/, '') : null)
+  || `https://${process.env.RAILWAY_STATIC_URL || 'localhost'}`).replace(/\/$/, '');
 
-// Track last action for undo
-let lastAction = null;
+// Inline keyboard limits
+const MAX_TASK_BUTTONS = 30; // Rows of buttons per task list
+const MAX_TASK_LIST_VIEWS = 50; // Task lists that can still be updated via buttons
+const CHOICE_TIMEOUT = 10 * 60 * 1000; // "Welche Aufgabe?" questions expire after 10 minutes
+const MAX_CALLBACK_TEXT = 200; // Telegram's limit for button answers
 
-// Constants for shared task handling
-const SHARED_TASK_INDICATORS = ['both', 'beide', 'zusammen', 'gemeinsam', 'wir'];
-const SHARED_PERSON_VALUE = 'Beide'; // Standardized value for shared tasks
+// Standardized person value for shared tasks of the household ("Beide" or "Alle")
+function sharedPerson() {
+  return ctx().household.shared;
+}
+
+// Words that mean the person writing - replaced with userName by the caller
+const SELF_REFERENCES = ['ich', 'meine', 'mir', 'mich'];
 
 // Debug logger
 function debugLog(category, message, data = null) {
@@ -89,359 +152,600 @@ function debugLog(category, message, data = null) {
 
 // Helper to normalize person names
 function normalizePerson(person) {
-  if (!person) return SHARED_PERSON_VALUE; // Default to shared
+  if (!person) return sharedPerson(); // Default to shared
   const lower = person.toLowerCase().trim();
   
   // Check if it's a shared indicator
-  if (SHARED_TASK_INDICATORS.includes(lower)) {
-    return SHARED_PERSON_VALUE;
-  }
-  
-  // Normalize known names
-  const nameMap = {
-    'moana': 'Moana',
-    'jeremy': 'Jeremy',
-    'ich': null, // Will be replaced with userName in calling function
-    'meine': null, // Will be replaced with userName in calling function
-    'mir': null, // Will be replaced with userName in calling function
-    'mich': null, // Will be replaced with userName in calling function
-  };
+  if (ctx().household.isShared(lower)) {
+    return sharedPerson();
+  }
   
-  // If it's a known name, return the normalized version
-  if (nameMap.hasOwnProperty(lower)) {
-    return nameMap[lower];
+  // Will be replaced with userName in calling function
+  if (SELF_REFERENCES.includes(lower)) {
+    return null;
+  }
+  
+  // Normalize known names and aliases
+  const name = ctx().household.resolveName(lower);
+  if (name) {
+    return name;
   }
   
   // If it's not recognized, return the original (could be a name we don't know)
   return person;
 }
 
-// Helper to parse dates
-function parseDate(dateStr) {
-  if (!dateStr) return '';
-  
-  const today = new Date();
-  const tomorrow = new Date(today);
-  tomorrow.setDate(tomorrow.getDate() + 1);
-  
-  const dayMap = {
-    'heute': today,
-    'today': today,
-    'morgen': tomorrow,
-    'tomorrow': tomorrow,
-    'montag': getNextWeekday(1),
-    'dienstag': getNextWeekday(2),
-    'mittwoch': getNextWeekday(3),
-    'donnerstag': getNextWeekday(4),
-    'freitag': getNextWeekday(5),
-    'samstag': getNextWeekday(6),
-    'sonntag': getNextWeekday(0)
-  };
+// Household member for a Telegram user: the /ichbin link, else the first
+// name if it is a member name or alias, else the plain first name
+function resolveUserName(from) {
+  const linked = ctx().state.get('userLinks', {})[from.id];
+  if (linked && ctx().household.resolveName(linked)) {
+    return ctx().household.resolveName(linked);
+  }
+  return ctx().household.resolveName(from.first_name) || from.first_name || 'User';
+}
+
+// /ichbin [Name] - link the Telegram account to a household member
+async function handleLinkCommand(text, from) {
+  const arg = text.replace('/ichbin', '').trim();
+  const links = ctx().state.get('userLinks', {});
+  const members = ctx().household.describe();
   
-  const lower = dateStr.toLowerCase().trim();
-  if (dayMap[lower]) {
-    return dayMap[lower].toISOString().split('T')[0];
+  if (!arg) {
+    return links[from.id]
+      ? `👤 Du bist als ${resolveUserName(from)} verknüpft. Ändern mit /ichbin <Name> (${members}).`
+      : `👤 Noch nicht verknüpft - ich nenne dich ${resolveUserName(from)}. Verknüpfen mit /ichbin <Name> (${members}).`;
   }
   
-  // Try to parse as date
-  const parsed = new Date(dateStr);
-  if (!isNaN(parsed.getTime())) {
-    return parsed.toISOString().split('T')[0];
+  const name = ctx().household.resolveName(arg);
+  if (!name) {
+    return `❓ "${arg}" gehört nicht zum Haushalt. Mitglieder: ${members}`;
   }
   
-  return dateStr; // Return original if can't parse
+  links[from.id] = name;
+  await ctx().state.set('userLinks', links);
+  return `✅ Alles klar, du bist ${name}! "Ich muss…" und "meine Aufgaben" beziehen sich jetzt auf ${name}.`;
+}
+
+// Today in the household's timezone (YYYY-MM-DD)
+function householdToday() {
+  return formatDate(nowIn(ctx().timezone));
+}
+
+// Due date and optional time ("morgen um 18 Uhr", "3.5.", "in 3 Tagen").
+// Text that isn't a date ("bald", "irgendwann") is kept as it is.
+function parseDue(text) {
+  if (!text) return { when: '', time: '' };
+  const parsed = parseWhen(String(text), nowIn(ctx().timezone));
+  return parsed ? { when: parsed.date, time: parsed.time } : { when: String(text).trim(), time: '' };
 }
 
-function getNextWeekday(dayOfWeek) {
-  const today = new Date();
-  const todayDay = today.getDay();
-  const daysUntil = (dayOfWeek - todayDay + 7) % 7 || 7;
-  const result = new Date(today);
-  result.setDate(today.getDate() + daysUntil);
-  return result;
+// "2026-10-20" or "2026-10-20 18:00"
+function formatDue(task) {
+  return task.time ? `${task.when} ${task.time}` : task.when;
 }
 
 // Get all tasks with better empty row handling
 async function getAllTasks() {
-  if (!sheets) {
-    console.error('Google Sheets not initialized');
+  if (!ctx().store) {
+    console.error('Task storage not initialized');
     return [];
   }
   
   try {
-    const response = await sheets.spreadsheets.values.get({
-      spreadsheetId: process.env.GOOGLE_SHEET_ID,
-      range: 'A2:G1000', // Get more rows to ensure we don't miss any
-    });
-    
-    const rows = response.data.values || [];
-    const tasks = [];
-    
-    // Process rows and skip empty ones
-    rows.forEach((row, index) => {
-      // Skip completely empty rows or rows with only partial data
-      if (row && row.length > 0 && (row[2] || '').trim() !== '') { // Check if task (column C) exists
-        tasks.push({
-          row: index + 2,
-          date: row[0] || '',
-          person: row[1] || '',
-          task: row[2] || '',
-          location: row[3] || '',
-          when: row[4] || '',
-          category: row[5] || 'general',
-          status: row[6] || 'pending'
-        });
-      }
-    });
-    
-    debugLog('SHEETS', `Fetched ${tasks.length} tasks`);
+    const tasks = await ctx().store.getAll();
+    debugLog('STORE', `Fetched ${tasks.length} tasks from ${ctx().store.name}`);
     return tasks;
   } catch (error) {
-    console.error('Sheets error:', error.message);
+    console.error('Storage error:', error.message);
     return [];
   }
 }
 
-// Add tasks with better validation and proper sheets handling
+// Add tasks with better validation
 async function addTasks(tasks, userName) {
-  if (!sheets) {
-    throw new Error('Google Sheets nicht verfügbar');
+  if (!ctx().store) {
+    throw new Error('Aufgabenspeicher nicht verfügbar');
   }
   
   const existingTasks = await getAllTasks();
-  const date = new Date().toISOString().split('T')[0];
+  const date = householdToday();
   const newTasks = [];
   const addedTaskInfo = [];
+  const mergedTasks = new Map();
   
   for (const task of tasks) {
     // Validate task
     if (!task.task || task.task.trim() === '') continue;
     
-    // DEFAULT TO "BEIDE" - Only use individual assignment if explicitly stated
-    let assignedPerson = SHARED_PERSON_VALUE; // Default to "Beide"
+    // DEFAULT TO SHARED - Only use individual assignment if explicitly stated
+    let assignedPerson = sharedPerson(); // Default to shared
     
     if (task.assignedTo) {
       const normalized = normalizePerson(task.assignedTo);
       // Only assign to individual if it's not a shared indicator
-      if (normalized && normalized !== SHARED_PERSON_VALUE) {
+      if (normalized && normalized !== sharedPerson()) {
         assignedPerson = normalized === null ? userName : normalized;
       }
     }
     
+    // Chores that take turns start with whoever's turn it is
+    const rotation = task.rotation ? parseRotation(task.rotation, ctx().household) || '' : '';
+    if (rotation) assignedPerson = nextTurn(rotation, null, existingTasks, turnOptions());
+    
+    // Shopping items: "2x Hafermilch", "500g Mehl" → quantity and unit
+    const item = parseQuantity(task.task, { bare: task.category === 'shopping' });
+    const quantity = task.quantity ? String(task.quantity) : item.quantity ? String(item.quantity) : '';
+    const unit = task.unit || item.unit;
+    const name = item.name;
+    const isShopping = task.category === 'shopping' || Boolean(quantity);
+    
+    // The same item again ("Milch" twice) raises the quantity of the open one;
+    // without a store it joins the item at any store
+    if (isShopping) {
+      const sameItem = t =>
+        t.task.toLowerCase() === name.toLowerCase() &&
+        t.person === assignedPerson &&
+        t.status !== 'done' &&
+        (t.category === 'shopping' || Boolean(t.quantity)) &&
+        (!task.location || sameLocation(t.location, task.location));
+      const existing = newTasks.find(sameItem) || [...mergedTasks.values()].find(sameItem) || existingTasks.find(sameItem);
+      const merged = existing && mergeQuantities(existing, { quantity, unit });
+      if (merged) {
+        const target = newTasks.includes(existing) ? existing : { ...existing };
+        target.quantity = String(merged.quantity);
+        target.unit = merged.unit;
+        if (!newTasks.includes(existing)) mergedTasks.set(existing.id, target);
+        continue;
+      }
+    }
+    
     // Check for duplicates
     const exists = existingTasks.some(existing => 
-      existing.task.toLowerCase() === task.task.toLowerCase() &&
+      existing.task.toLowerCase() === name.toLowerCase() &&
       existing.person === assignedPerson &&
-      existing.status !== 'done'
-    );
+      existing.status !== 'done' &&
+      !existing.parent
+    ) || newTasks.some(added => added.task.toLowerCase() === name.toLowerCase() && added.person === assignedPerson);
     
     if (!exists) {
       // Ensure shared tasks have proper category
-      let category = task.category || 'general';
-      if (assignedPerson === SHARED_PERSON_VALUE && (category === 'general' || !category)) {
+      let category = task.category || (isShopping ? 'shopping' : 'general');
+      if ((assignedPerson === sharedPerson() || rotation) && (category === 'general' || !category)) {
         category = 'both';
       }
       
-      newTasks.push([
+      // Recurring tasks start at their first occurrence unless a date is given
+      const recurrence = parseRecurrence(task.recurrence);
+      const due = parseDue(task.when);
+      
+      newTasks.push({
         date,
-        assignedPerson,
-        task.task.trim(),
-        task.location || '',
-        parseDate(task.when) || '',
+        person: assignedPerson,
+        task: name,
+        location: task.location || '',
+        when: due.when || (recurrence ? firstOccurrence(recurrence, startOfToday(ctx().timezone)) : ''),
+        time: due.time,
         category,
-        'pending'
-      ]);
+        status: 'pending',
+        recurrence,
+        quantity,
+        unit,
+        duration: String(parseDuration(task.duration) || ''),
+        priority: parsePriority(task.priority) || '',
+        rotation
+      });
       
       addedTaskInfo.push({
-        task: task.task.trim(),
+        task: name,
         person: assignedPerson,
-        isShared: assignedPerson === SHARED_PERSON_VALUE
+        isShared: assignedPerson === sharedPerson() || Boolean(rotation),
+        recurrence,
+        rotation
       });
     }
   }
   
+  let added = [];
   if (newTasks.length > 0) {
-    // Find the actual last row with data
-    let lastRow = 2; // Start after header
-    for (const task of existingTasks) {
-      if (task.row > lastRow) {
-        lastRow = task.row;
-      }
-    }
-    lastRow = lastRow + 1; // Next available row
-    
-    // Use update instead of append for more control
-    await sheets.spreadsheets.values.update({
-      spreadsheetId: process.env.GOOGLE_SHEET_ID,
-      range: `A${lastRow}:G${lastRow + newTasks.length - 1}`,
-      valueInputOption: 'RAW',
-      resource: { values: newTasks }
-    });
-    
-    debugLog('SHEETS', `Added ${newTasks.length} tasks starting at row ${lastRow}`);
-    
-    // Track for undo
-    lastAction = {
-      type: 'add',
-      tasks: addedTaskInfo.map(t => t.task),
-      timestamp: Date.now()
-    };
+    added = await ctx().store.add(newTasks);
+    debugLog('STORE', `Added ${newTasks.length} tasks`);
+  }
+  
+  const existingById = new Map(existingTasks.map(t => [t.id, t]));
+  const merged = [...mergedTasks.values()];
+  for (const task of merged) {
+    await ctx().store.update(task);
   }
   
-  return { count: newTasks.length, addedInfo: addedTaskInfo };
+  const changes = [
+    ...added.map(task => ({ before: null, after: task })),
+    ...merged.map(task => ({ before: existingById.get(task.id), after: task }))
+  ];
+  if (changes.length > 0) {
+    const label = changes.length === 1
+      ? `"${(added[0] || merged[0]).task}" hinzugefügt`
+      : `${changes.length} Aufgaben hinzugefügt`;
+    await ctx().journal.record('add', label, changes);
+  }
+  
+  return { count: newTasks.length, addedInfo: addedTaskInfo, added, merged };
 }
 
-// Complete task
-async function completeTask(taskName) {
-  if (!sheets) {
-    throw new Error('Google Sheets nicht verfügbar');
-  }
+// Create the next occurrence of a recurring task after it was completed
+async function scheduleNextOccurrence(task) {
+  if (!task.recurrence) return null;
+  
+  const when = nextOccurrence(task.recurrence, task.when, startOfToday(ctx().timezone));
+  if (!when) return null;
   
+  // Chores that take turns go to the next person
+  const person = task.rotation
+    ? nextTurn(task.rotation, task.person, await getAllTasks(), turnOptions()) || task.person
+    : task.person;
+  
+  const [next] = await ctx().store.add([{
+    ...task,
+    id: null,
+    person,
+    date: householdToday(),
+    when,
+    status: 'pending',
+    completedAt: '',
+    completedBy: ''
+  }]);
+  
+  debugLog('RECURRENCE', `Next "${task.task}" on ${when}`);
+  return next;
+}
+
+// Options for nextTurn: completions are counted per household member
+function turnOptions() {
+  return { resolve: name => ctx().household.resolveName(name || ''), timeZone: ctx().timezone };
+}
+
+// Fresh copies of a checklist's steps for the next occurrence of its task
+async function repeatSteps(steps, next) {
+  if (steps.length === 0) return [];
+  return ctx().store.add(steps.map(step => ({
+    ...step,
+    id: null,
+    parent: next.id,
+    person: next.person,
+    date: next.date,
+    status: 'pending',
+    completedAt: '',
+    completedBy: ''
+  })));
+}
+
+// Mark a task as done (by whom, if known) and schedule its next occurrence.
+// Open steps are done with their task; the last step completes the task
+// (completed.checklist). Returns the journal changes for undo.
+async function markDone(task, completedBy = null) {
   const tasks = await getAllTasks();
-  const task = tasks.find(t => 
-    t.task.toLowerCase().includes(taskName.toLowerCase()) && 
-    t.status !== 'done'
-  );
+  const completedAt = new Date().toISOString();
+  const finish = t => ({ ...t, status: 'done', completedAt, completedBy: completedBy || '' });
   
-  if (task) {
-    await sheets.spreadsheets.values.update({
-      spreadsheetId: process.env.GOOGLE_SHEET_ID,
-      range: `G${task.row}`,
-      valueInputOption: 'RAW',
-      resource: { values: [['done']] }
-    });
-    
-    lastAction = {
-      type: 'complete',
-      task: task.task,
-      timestamp: Date.now()
-    };
-    
-    return task.task;
+  const done = finish(task);
+  await ctx().store.update(done);
+  const changes = [{ before: task, after: done }];
+  
+  const steps = stepsOf(tasks, task);
+  const openSteps = steps.filter(t => t.status !== 'done');
+  for (const step of openSteps) {
+    const stepDone = finish(step);
+    await ctx().store.update(stepDone);
+    changes.push({ before: step, after: stepDone });
+  }
+  
+  const next = await scheduleNextOccurrence(task);
+  if (next) {
+    changes.push({ before: null, after: next });
+    // The checklist starts over with the next occurrence
+    const repeated = await repeatSteps(steps, next);
+    changes.push(...repeated.map(step => ({ before: null, after: step })));
   }
-  return null;
+  
+  const completed = { ...done, next };
+  if (openSteps.length > 0) completed.stepsDone = openSteps.length;
+  const parent = task.parent && tasks.find(t => t.id === task.parent && t.status !== 'done');
+  if (parent) {
+    const progress = stepProgress(tasks.map(t => (t.id === task.id ? done : t)), parent);
+    let parentDone = null;
+    if (progress.done === progress.total) {
+      const result = await markDone(parent, completedBy);
+      changes.push(...result.changes);
+      parentDone = result.done;
+    }
+    completed.checklist = { task: parent.task, ...progress, parentDone };
+  }
+  
+  return { done: completed, changes };
 }
 
-// Update task
-async function updateTask(taskName, updates) {
-  if (!sheets) {
-    throw new Error('Google Sheets nicht verfügbar');
+// Complete task - returns the completed task (with the next occurrence for
+// recurring tasks), { ambiguous: [...] } if several tasks match, or null
+async function completeTask(taskName, userName = null) {
+  if (!ctx().store) {
+    throw new Error('Aufgabenspeicher nicht verfügbar');
   }
   
-  const tasks = await getAllTasks();
-  const task = tasks.find(t => 
-    t.task.toLowerCase().includes(taskName.toLowerCase()) && 
-    t.status !== 'done'
-  );
+  const { match, candidates } = findTaskMatches(await getAllTasks(), taskName, userName, sharedPerson());
+  if (candidates) return { ambiguous: candidates };
+  return match ? completeFoundTask(match, userName) : null;
+}
+
+async function completeFoundTask(task, completedBy = null) {
+  const { done, changes } = await markDone(task, completedBy);
+  await ctx().journal.record('complete', `"${task.task}" erledigt`, changes);
+  return done;
+}
+
+// Confirmation for a completed task, mentioning the next occurrence
+function formatCompleted(completed) {
+  let response = `✅ "${completed.task}" erledigt!`;
+  if (completed.next) {
+    response += `\n🔁 Nächstes Mal: ${formatDue(completed.next)}`;
+    if (completed.next.rotation) response += `\n👉 Dann ist ${completed.next.person} dran`;
+  }
+  if (completed.stepsDone) {
+    response += `\n☑️ Mit ${completed.stepsDone} offenen Schritt${completed.stepsDone > 1 ? 'en' : ''}`;
+  }
+  if (completed.checklist) {
+    const { task, parentDone } = completed.checklist;
+    response += parentDone
+      ? `\n🎉 Alle Schritte erledigt - "${task}" ist fertig!`
+      : `\n☑️ "${task}": ${formatProgress(completed.checklist)} erledigt`;
+    if (parentDone && parentDone.next) response += `\n🔁 "${task}" wieder am ${formatDue(parentDone.next)}`;
+  }
+  return response;
+}
+
+// Update task - returns the updated task, { ambiguous: [...] } or null
+async function updateTask(taskName, updates, userName = null) {
+  if (!ctx().store) {
+    throw new Error('Aufgabenspeicher nicht verfügbar');
+  }
+  
+  const { match, candidates } = findTaskMatches(await getAllTasks(), taskName, userName, sharedPerson());
+  if (candidates) return { ambiguous: candidates };
+  return match ? updateFoundTask(match, updates) : null;
+}
+
+async function updateFoundTask(task, updates) {
+  // Normalize person if updating
+  let person = task.person;
+  if (updates.person) {
+    person = normalizePerson(updates.person) || updates.person;
+  }
+  
+  // "keine" removes an existing recurrence
+  const recurrence = updates.recurrence !== undefined
+    ? parseRecurrence(updates.recurrence)
+    : task.recurrence;
   
-  if (task) {
-    // Normalize person if updating
-    let person = task.person;
-    if (updates.person) {
-      person = normalizePerson(updates.person) || updates.person;
+  // "abwechselnd" lets the rotation pick whose turn it is; without a rotation
+  // the chore is shared again
+  let rotation = task.rotation || '';
+  if (updates.rotation !== undefined) {
+    const parsed = parseRotation(updates.rotation, ctx().household);
+    if (parsed !== null) rotation = parsed;
+    if (rotation && !updates.person && !readRotation(rotation).members.includes(person)) {
+      person = nextTurn(rotation, null, await getAllTasks(), turnOptions());
+    } else if (!rotation && task.rotation && !updates.person) {
+      person = sharedPerson();
     }
-    
-    const updatedRow = [
-      task.date,
-      person,
-      updates.task || task.task,
-      updates.location || task.location,
-      parseDate(updates.when) || task.when,
-      updates.category || task.category,
-      task.status
-    ];
-    
-    await sheets.spreadsheets.values.update({
-      spreadsheetId: process.env.GOOGLE_SHEET_ID,
-      range: `A${task.row}:G${task.row}`,
-      valueInputOption: 'RAW',
-      resource: { values: [updatedRow] }
-    });
-    
-    return true;
   }
-  return false;
+  
+  // A new date without a time keeps the task's time ("Zahnarzt auf Freitag")
+  const due = parseDue(updates.when);
+  
+  const updated = {
+    ...task,
+    person,
+    task: updates.task || task.task,
+    location: updates.location || task.location,
+    when: due.when || task.when,
+    time: due.time || task.time,
+    category: updates.category || task.category,
+    recurrence,
+    quantity: updates.quantity !== undefined ? String(updates.quantity || '') : task.quantity,
+    unit: updates.unit !== undefined ? updates.unit : task.unit,
+    duration: updates.duration !== undefined ? String(parseDuration(updates.duration) || '') : task.duration,
+    priority: updates.priority !== undefined ? parsePriority(updates.priority) || '' : task.priority,
+    rotation
+  };
+  await ctx().store.update(updated);
+  await ctx().journal.record('update', `"${task.task}" geändert`, [{ before: task, after: updated }]);
+  
+  return updated;
+}
+
+// Confirmation after a rotation was set or removed
+function formatRotationUpdate(task) {
+  if (!task.rotation) return `✅ "${task.task}" ist nicht mehr im Wechsel.`;
+  return `🔄 "${task.task}" ist jetzt im Wechsel (${describeRotation(task.rotation)}). ${task.person} ist dran.`;
+}
+
+// "Tausch mit Moana": the other member takes the user's turn (or the user
+// takes theirs if it isn't the user's turn anywhere). The rotation simply
+// continues after the new person, so the turns even out.
+async function swapTurn(withPerson, taskName, userName) {
+  const other = normalizePerson(withPerson);
+  if (!other || !ctx().household.names.includes(other)) {
+    return `"${withPerson}" gehört nicht zum Haushalt.`;
+  }
+  if (other === userName) return 'Mit dir selbst tauschen geht nicht 😉';
+  
+  const rotating = (await getAllTasks()).filter(t => t.status !== 'done' && t.rotation);
+  let candidates;
+  if (taskName) {
+    const { match, candidates: ambiguous } = findTaskMatches(rotating, taskName, userName, sharedPerson());
+    candidates = ambiguous || (match ? [match] : []);
+  } else {
+    candidates = rotating.filter(t => t.person === userName);
+    if (candidates.length === 0) candidates = rotating.filter(t => t.person === other);
+  }
+  if (candidates.length === 0) {
+    return taskName
+      ? `Keine Aufgabe im Wechsel gefunden: "${taskName}"`
+      : `Weder du noch ${other} seid gerade bei einer Aufgabe im Wechsel dran.`;
+  }
+  
+  const task = candidates[0];
+  const takeOver = task.person === other ? userName : other;
+  if (candidates.length > 1) return formatChoiceReply('update', candidates, { person: takeOver });
+  
+  const swapped = await updateFoundTask(task, { person: takeOver });
+  const after = nextTurn(swapped.rotation, takeOver, await getAllTasks(), turnOptions());
+  let response = `🔄 Getauscht: "${task.task}" macht diesmal ${takeOver}.`;
+  if (after && after !== takeOver && swapped.recurrence) response += ` Danach ist ${after} dran.`;
+  return response;
 }
 
 // Complete all tasks
-async function completeAllTasks() {
-  if (!sheets) {
-    throw new Error('Google Sheets nicht verfügbar');
+async function completeAllTasks(completedBy = null) {
+  if (!ctx().store) {
+    throw new Error('Aufgabenspeicher nicht verfügbar');
   }
   
   const tasks = await getAllTasks();
   const activeTasks = tasks.filter(t => t.status !== 'done');
   
-  let completed = 0;
+  // Steps and checklists complete each other, so some are done already
+  const changes = [];
+  const finished = new Set();
   for (const task of activeTasks) {
-    await sheets.spreadsheets.values.update({
-      spreadsheetId: process.env.GOOGLE_SHEET_ID,
-      range: `G${task.row}`,
-      valueInputOption: 'RAW',
-      resource: { values: [['done']] }
-    });
-    completed++;
+    if (finished.has(task.id)) continue;
+    const result = await markDone(task, completedBy);
+    changes.push(...result.changes);
+    result.changes.forEach(change => change.after && finished.add(change.after.id));
+  }
+  await ctx().journal.record('completeAll', `${activeTasks.length} Aufgaben erledigt`, changes);
+  
+  return activeTasks.length;
+}
+
+// Delete task - returns the task name, { ambiguous: [...] } or null
+async function deleteTask(taskName, userName = null) {
+  if (!ctx().store) {
+    throw new Error('Aufgabenspeicher nicht verfügbar');
   }
   
-  return completed;
+  const { match, candidates } = findTaskMatches(await getAllTasks(), taskName, userName, sharedPerson());
+  if (candidates) return { ambiguous: candidates };
+  return match ? deleteFoundTask(match) : null;
+}
+
+// Steps go with their task
+async function deleteFoundTask(task) {
+  const removed = [task, ...stepsOf(await getAllTasks(), task)];
+  for (const t of removed) {
+    await ctx().store.remove(t);
+  }
+  await ctx().journal.record('delete', `"${task.task}" gelöscht`, removed.map(t => ({ before: t, after: null })));
+  return task.task;
 }
 
-// Delete task
-async function deleteTask(taskName) {
-  if (!sheets) {
-    throw new Error('Google Sheets nicht verfügbar');
+// Add steps to a task ("Füge zu Party hinzu: Kuchen, Deko"); a task that
+// doesn't exist yet is added first. Returns { task, added, created, progress },
+// { ambiguous: [...] } if several tasks match
+async function addSubtasks(taskName, items, userName = null) {
+  if (!ctx().store) {
+    throw new Error('Aufgabenspeicher nicht verfügbar');
   }
   
+  // Steps can't have steps of their own
+  const topLevel = (await getAllTasks()).filter(t => !t.parent);
+  const { match, candidates } = findTaskMatches(topLevel, taskName, userName, sharedPerson());
+  if (candidates) return { ambiguous: candidates };
+  return addFoundSubtasks(match || null, items, taskName);
+}
+
+async function addFoundSubtasks(task, items, taskName = null) {
   const tasks = await getAllTasks();
-  const task = tasks.find(t => 
-    t.task.toLowerCase().includes(taskName.toLowerCase()) && 
-    t.status !== 'done'
-  );
+  const date = householdToday();
+  const changes = [];
   
-  if (task) {
-    await sheets.spreadsheets.values.clear({
-      spreadsheetId: process.env.GOOGLE_SHEET_ID,
-      range: `A${task.row}:G${task.row}`,
-    });
-    
-    lastAction = {
-      type: 'delete',
-      task: task.task,
-      timestamp: Date.now()
-    };
-    
-    return task.task;
+  let parent = task;
+  if (!parent) {
+    const name = String(taskName || '').trim();
+    if (!name) return null;
+    [parent] = await ctx().store.add([{
+      date,
+      person: sharedPerson(),
+      task: name.charAt(0).toUpperCase() + name.slice(1),
+      category: 'both',
+      status: 'pending'
+    }]);
+    changes.push({ before: null, after: parent });
+  }
+  
+  // Steps that are already open on the checklist aren't added twice
+  const open = stepsOf(tasks, parent).filter(t => t.status !== 'done').map(t => t.task.toLowerCase());
+  const names = splitSteps(items).filter((name, i, all) =>
+    !open.includes(name.toLowerCase()) && all.findIndex(other => other.toLowerCase() === name.toLowerCase()) === i);
+  
+  const added = names.length === 0 ? [] : await ctx().store.add(names.map(name => ({
+    date,
+    person: parent.person,
+    task: name,
+    location: parent.location || '',
+    category: parent.category,
+    status: 'pending',
+    parent: parent.id
+  })));
+  changes.push(...added.map(step => ({ before: null, after: step })));
+  
+  if (changes.length > 0) {
+    await ctx().journal.record('add', `Schritte zu "${parent.task}" hinzugefügt`, changes);
   }
-  return null;
+  return {
+    task: parent,
+    added,
+    created: !task,
+    progress: stepProgress([...tasks, ...added], parent)
+  };
+}
+
+// "📝 2 Schritte zu "Party" hinzugefügt (1/4 erledigt)" with the new steps
+function formatSubtasksAdded(result) {
+  if (!result) return 'Zu welcher Aufgabe sollen die Schritte?';
+  const { task, added, created, progress } = result;
+  if (added.length === 0) return `Diese Schritte stehen schon bei "${task.task}".`;
+  
+  const plural = added.length > 1;
+  let response = created
+    ? `✅ Neue Aufgabe "${task.task}" mit ${added.length} Schritt${plural ? 'en' : ''}:\n`
+    : `📝 ${added.length} Schritt${plural ? 'e' : ''} zu "${task.task}" hinzugefügt (${formatProgress(progress)} erledigt):\n`;
+  added.forEach(step => {
+    response += `◦ ${step.task}\n`;
+  });
+  return response.trim();
 }
 
 // Delete all tasks
 async function deleteAllTasks() {
-  if (!sheets) {
-    throw new Error('Google Sheets nicht verfügbar');
+  if (!ctx().store) {
+    throw new Error('Aufgabenspeicher nicht verfügbar');
   }
   
   const tasks = await getAllTasks();
   const activeTasks = tasks.filter(t => t.status !== 'done');
   
-  // Sort by row number descending to avoid index issues
-  activeTasks.sort((a, b) => b.row - a.row);
-  
-  let deleted = 0;
   for (const task of activeTasks) {
-    await sheets.spreadsheets.values.clear({
-      spreadsheetId: process.env.GOOGLE_SHEET_ID,
-      range: `A${task.row}:G${task.row}`,
-    });
-    deleted++;
+    await ctx().store.remove(task);
   }
+  await ctx().journal.record('deleteAll', `${activeTasks.length} Aufgaben gelöscht`,
+    activeTasks.map(task => ({ before: task, after: null })));
   
-  return deleted;
+  return activeTasks.length;
 }
 
 // Remove duplicates
 async function removeDuplicates() {
-  if (!sheets) return 0;
+  if (!ctx().store) return 0;
   
   const tasks = await getAllTasks();
   const seen = new Map();
@@ -449,68 +753,58 @@ async function removeDuplicates() {
   
   tasks.forEach(task => {
     if (task.status === 'done') return;
-    const key = `${task.task.toLowerCase().trim()}_${task.person}_${task.location}_${task.when}`;
+    const key = `${task.task.toLowerCase().trim()}_${task.person}_${task.location}_${task.when}_${task.parent}`;
     
     if (seen.has(key)) {
-      toDelete.push(task.row);
+      toDelete.push(task);
     } else {
       seen.set(key, task);
     }
   });
   
-  toDelete.sort((a, b) => b - a);
-  
-  for (const row of toDelete) {
-    await sheets.spreadsheets.values.clear({
-      spreadsheetId: process.env.GOOGLE_SHEET_ID,
-      range: `A${row}:G${row}`,
-    });
+  for (const task of toDelete) {
+    await ctx().store.remove(task);
   }
   
   return toDelete.length;
 }
 
-// Undo last action
+// Undo last action (several steps back through the persisted history)
 async function undoLastAction() {
-  if (!lastAction || Date.now() - lastAction.timestamp > 5 * 60 * 1000) {
-    return 'Keine kürzliche Aktion zum Rückgängigmachen gefunden (oder älter als 5 Minuten)';
+  const entry = await ctx().journal.undo(ctx().store);
+  if (!entry) {
+    return 'Keine Aktion zum Rückgängigmachen gefunden';
   }
   
-  switch (lastAction.type) {
-    case 'add':
-      let deletedCount = 0;
-      for (const taskName of lastAction.tasks) {
-        const deleted = await deleteTask(taskName);
-        if (deleted) deletedCount++;
-      }
-      lastAction = null;
-      return deletedCount > 0 
-        ? `✅ ${deletedCount} kürzlich hinzugefügte Aufgabe(n) gelöscht`
-        : 'Konnte die Aufgaben nicht finden';
-      
-    case 'complete':
-      return '⚠️ Erledigte Aufgaben können nicht rückgängig gemacht werden';
-      
-    case 'delete':
-      return '⚠️ Gelöschte Aufgaben können nicht wiederhergestellt werden';
-      
-    default:
-      return 'Keine Aktion zum Rückgängigmachen';
+  let response = `↩️ Rückgängig gemacht: ${entry.label}`;
+  if (entry.failed > 0) {
+    response += `\n⚠️ ${entry.failed} Änderung(en) konnten nicht wiederhergestellt werden (Aufgabe inzwischen geändert oder gelöscht?)`;
   }
+  return response;
 }
 
-// Format task list with better shared task handling and location filter
-function formatTaskList(tasks, filterPerson = null, filterLocation = null, excludeShared = false) {
-  const active = tasks.filter(t => t.status !== 'done');
-  
-  if (active.length === 0) return 'Alles erledigt! 🎉';
+// Redo the last undone action
+async function redoLastAction() {
+  const entry = await ctx().journal.redo(ctx().store);
+  if (!entry) {
+    return 'Keine Aktion zum Wiederholen gefunden';
+  }
   
-  // Normalize filter person
+  let response = `↪️ Wiederholt: ${entry.label}`;
+  if (entry.failed > 0) {
+    response += `\n⚠️ ${entry.failed} Änderung(en) konnten nicht wiederholt werden`;
+  }
+  return response;
+}
+
+// Active tasks matching the person/location filters of formatTaskList
+function filterTasks(tasks, filterPerson = null, filterLocation = null, excludeShared = false) {
+  const active = tasks.filter(t => t.status !== 'done');
   const normalizedFilter = filterPerson ? normalizePerson(filterPerson) : null;
   
   // Filter by person if specified
   let filtered = active;
-  if (normalizedFilter && normalizedFilter !== SHARED_PERSON_VALUE) {
+  if (normalizedFilter && normalizedFilter !== sharedPerson()) {
     // When filtering by a specific person
     if (excludeShared) {
       // Show ONLY personal tasks (exclude shared)
@@ -522,12 +816,12 @@ function formatTaskList(tasks, filterPerson = null, filterLocation = null, exclu
       // Show personal tasks AND shared tasks (default behavior)
       filtered = active.filter(t => {
         const taskPerson = normalizePerson(t.person);
-        return taskPerson === normalizedFilter || taskPerson === SHARED_PERSON_VALUE;
+        return taskPerson === normalizedFilter || taskPerson === sharedPerson();
       });
     }
-  } else if (normalizedFilter === SHARED_PERSON_VALUE) {
+  } else if (normalizedFilter === sharedPerson()) {
     // When specifically asking for shared tasks, show only shared
-    filtered = active.filter(t => normalizePerson(t.person) === SHARED_PERSON_VALUE);
+    filtered = active.filter(t => normalizePerson(t.person) === sharedPerson());
   }
   
   // Filter by location if specified
@@ -538,6 +832,74 @@ function formatTaskList(tasks, filterPerson = null, filterLocation = null, exclu
     );
   }
   
+  return filtered;
+}
+
+// Tasks for the API: status 'open' (default), 'done' or 'all', filtered by
+// person and location like the lists in the chat
+async function listTasks({ person = null, location = null, status = 'open', onlyPersonal = false } = {}) {
+  const tasks = await ctx().store.getAll();
+  if (status === 'open') {
+    return filterTasks(tasks, person, location, onlyPersonal);
+  }
+  
+  // filterTasks only looks at open tasks, so filter done ones as if they were open
+  const selected = status === 'done' ? tasks.filter(t => t.status === 'done') : tasks;
+  const matchingIds = new Set(
+    filterTasks(selected.map(t => ({ ...t, status: 'pending' })), person, location, onlyPersonal).map(t => t.id)
+  );
+  return selected.filter(t => matchingIds.has(t.id));
+}
+
+// Group tasks by category, keeping the order in which categories appear
+function groupByCategory(tasks) {
+  const byCategory = {};
+  tasks.forEach(t => {
+    const cat = t.category || 'general';
+    if (!byCategory[cat]) byCategory[cat] = [];
+    byCategory[cat].push(t);
+  });
+  return byCategory;
+}
+
+const CATEGORY_EMOJIS = {
+  shopping: '🛒',
+  household: '🏠',
+  personal: '👤',
+  work: '💼',
+  general: '📋'
+};
+
+// Sections of a task list: shared tasks first (unless excluded), then the
+// other categories. Steps of a checklist go beneath their task (steps: task
+// ID → steps). Used by the chat list, its buttons and the web dashboard.
+function groupTaskList(tasks, excludeShared = false) {
+  const { top, steps } = nestSteps(tasks);
+  const byCategory = groupByCategory(top);
+  const sections = [];
+  
+  if (byCategory['both'] && !excludeShared) {
+    sections.push({ category: 'both', shared: true, title: '👥 GEMEINSAME AUFGABEN', tasks: byCategory['both'], steps });
+    delete byCategory['both'];
+  }
+  
+  Object.entries(byCategory).forEach(([category, tasks]) => {
+    const emoji = CATEGORY_EMOJIS[category] || '📋';
+    sections.push({ category, shared: false, title: `${emoji} ${category.toUpperCase()}`, tasks, steps });
+  });
+  return sections;
+}
+
+// Format task list with better shared task handling and location filter
+function formatTaskList(tasks, filterPerson = null, filterLocation = null, excludeShared = false) {
+  const active = tasks.filter(t => t.status !== 'done');
+  
+  if (active.length === 0) return 'Alles erledigt! 🎉';
+  
+  // Normalize filter person
+  const normalizedFilter = filterPerson ? normalizePerson(filterPerson) : null;
+  const filtered = filterTasks(tasks, filterPerson, filterLocation, excludeShared);
+  
   if ((normalizedFilter || filterLocation) && filtered.length === 0) {
     if (excludeShared && normalizedFilter) {
       return `Keine persönlichen Aufgaben für ${filterPerson} gefunden (nur gemeinsame vorhanden).`;
@@ -547,61 +909,45 @@ function formatTaskList(tasks, filterPerson = null, filterLocation = null, exclu
     return `Keine Aufgaben für ${filterPerson} gefunden.`;
   }
   
-  // Group by category
-  const byCategory = {};
-  filtered.forEach(t => {
-    const cat = t.category || 'general';
-    if (!byCategory[cat]) byCategory[cat] = [];
-    byCategory[cat].push(t);
-  });
-  
   // Build response
   let response = '';
   if (excludeShared && normalizedFilter) {
     response = `📋 NUR ${filterPerson}'s persönliche Aufgaben (${filtered.length}):\n\n`;
   } else if (filterLocation) {
     response = `📍 Aufgaben bei ${filterLocation} (${filtered.length}):\n\n`;
-  } else if (normalizedFilter && normalizedFilter !== SHARED_PERSON_VALUE) {
+  } else if (normalizedFilter && normalizedFilter !== sharedPerson()) {
     response = `📋 ${filterPerson}'s Aufgaben (${filtered.length}):\n\n`;
-  } else if (normalizedFilter === SHARED_PERSON_VALUE) {
+  } else if (normalizedFilter === sharedPerson()) {
     response = `👥 Gemeinsame Aufgaben (${filtered.length}):\n\n`;
   } else {
     response = `📋 Alle Aufgaben (${active.length}):\n\n`;
   }
   
-  // Show shared tasks first if they exist (but not if excludeShared is true)
-  if (byCategory['both'] && !excludeShared) {
-    response += `👥 GEMEINSAME AUFGABEN:\n`;
-    byCategory['both'].forEach(t => {
-      response += `• ${t.task}`;
-      if (t.location && !filterLocation) response += ` @${t.location}`;
-      if (t.when) response += ` (${t.when})`;
-      response += '\n';
-    });
-    response += '\n';
-    delete byCategory['both'];
-  }
-  
-  // Show other categories
-  Object.entries(byCategory).forEach(([cat, tasks]) => {
-    const emoji = {
-      shopping: '🛒',
-      household: '🏠',
-      personal: '👤',
-      work: '💼',
-      general: '📋'
-    }[cat] || '📋';
-    
-    response += `${emoji} ${cat.toUpperCase()}:\n`;
-    tasks.forEach(t => {
-      response += `• ${t.task}`;
+  // Shared tasks first, then the other categories
+  groupTaskList(filtered, excludeShared).forEach(section => {
+    response += `${section.title}:\n`;
+    section.tasks.forEach(t => {
+      response += `• ${itemLabel(t)}`;
+      const progress = stepProgress(tasks, t);
+      if (progress) response += ` (${formatProgress(progress)})`;
+      if (t.priority === 'high') response += ' ❗';
       // Show person only if not filtered and not a shared task
-      if (!normalizedFilter && t.person !== SHARED_PERSON_VALUE) {
+      if (!section.shared && !normalizedFilter && !t.rotation && normalizePerson(t.person) !== sharedPerson()) {
         response += ` (nur ${t.person})`;
       }
       if (t.location && !filterLocation) response += ` @${t.location}`;
-      if (t.when) response += ` (${t.when})`;
+      if (t.when) response += ` (${formatDue(t)})`;
+      if (t.recurrence) response += ` 🔁 ${describeRecurrence(t.recurrence)}`;
+      if (t.rotation) response += ` 🔄 ${t.person} ist dran`;
+      // A step whose checklist isn't listed names it
+      const parent = t.parent && tasks.find(other => other.id === t.parent);
+      if (parent) response += ` (für ${parent.task})`;
       response += '\n';
+      (section.steps.get(t.id) || []).forEach(step => {
+        response += `   ◦ ${itemLabel(step)}`;
+        if (step.when) response += ` (${formatDue(step)})`;
+        response += '\n';
+      });
     });
     response += '\n';
   });
@@ -609,47 +955,504 @@ function formatTaskList(tasks, filterPerson = null, filterLocation = null, exclu
   return response.trim();
 }
 
-// Planning step for AI
-async function createPlan(text, userName, activeTasks) {
-  if (!openai) return null;
+// Inline keyboard with ✅ / ⏰ / 🗑️ buttons per task, in list order
+function buildTaskKeyboard(tasks, excludeShared = false) {
+  // Same order as formatTaskList: shared tasks first, then by category, steps
+  // beneath their task
+  const ordered = groupTaskList(tasks, excludeShared)
+    .flatMap(section => section.tasks.flatMap(t => [t, ...(section.steps.get(t.id) || [])]));
   
-  try {
-    const planPrompt = `Analysiere diese Anfrage und erstelle einen Plan.
+  return {
+    inline_keyboard: ordered.slice(0, MAX_TASK_BUTTONS).map(t => [
+      { text: `✅ ${shorten(itemLabel(t), 24)}`, callback_data: `done:${t.id}` },
+      { text: '⏰ morgen', callback_data: `snooze:${t.id}` },
+      { text: '🗑️', callback_data: `del:${t.id}` }
+    ])
+  };
+}
 
-User (${userName}) sagt: "${text}"
-Aktive Aufgaben: ${activeTasks.length}
+function shorten(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
 
-Erstelle einen JSON-Plan mit:
-{
-  "intent": "Was will der User? (kurz)",
-  "action": "add_tasks|show_tasks|complete_task|delete_task|update_task|undo",
-  "parameters": {
-    // Abhängig von action
-  },
-  "expectedResult": "Was sollte das Ergebnis sein?",
-  "edgeCases": ["Mögliche Probleme"],
-  "reasoning": "Warum diese Aktion?"
+// Short answer to a button: the first line of the reply, within Telegram's limit
+function buttonToast(text) {
+  return shorten(String(text).split('\n')[0], MAX_CALLBACK_TEXT);
 }
 
-WICHTIG: 
-- Bei "nur meine" → excludeShared: true
-- Bei Orten wie "bei DM" → location parameter
-- Standard ist assignedTo: "Beide" für neue Aufgaben`;
+// Task list reply with inline buttons. The view (filters) is kept so the
+// message can be re-rendered after a button was pressed.
+function formatTaskListReply(tasks, filterPerson = null, filterLocation = null, excludeShared = false) {
+  const text = formatTaskList(tasks, filterPerson, filterLocation, excludeShared);
+  const shown = filterTasks(tasks, filterPerson, filterLocation, excludeShared);
+  if (shown.length === 0) return text;
+  
+  return {
+    text,
+    options: { reply_markup: buildTaskKeyboard(shown, excludeShared) },
+    view: { person: filterPerson, location: filterLocation, excludeShared: !!excludeShared }
+  };
+}
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages: [
-        { role: 'system', content: 'Du bist ein Planungs-Assistent. Antworte NUR mit validem JSON.' },
-        { role: 'user', content: planPrompt }
-      ],
-      temperature: 0.2,
-      response_format: { type: "json_object" }
-    });
+// Replies are plain text or { text, options, view, choice, trip } (see
+// formatTaskListReply, formatChoiceReply and startShoppingTrip)
+function replyText(reply) {
+  return typeof reply === 'string' ? reply : reply.text;
+}
 
-    const plan = JSON.parse(completion.choices[0].message.content);
-    debugLog('PLAN', 'Created plan', plan);
-    return plan;
-  } catch (error) {
+function withReplyText(reply, text) {
+  return typeof reply === 'string' ? text : { ...reply, text };
+}
+
+async function sendReply(chatId, reply) {
+  if (typeof reply === 'string') {
+    return bot.sendMessage(chatId, reply);
+  }
+  
+  const sent = await bot.sendMessage(chatId, reply.text, reply.options);
+  if (reply.view) {
+    await saveTaskListView(chatId, sent.message_id, reply.view);
+  }
+  if (reply.choice) {
+    await savePendingChoice(chatId, reply.choice, sent.message_id);
+  }
+  if (reply.trip) {
+    await saveShoppingTrip(chatId, { ...reply.trip, messageId: sent.message_id });
+  }
+  return sent;
+}
+
+// Remember the filters of recently sent task lists (by chat and message)
+async function saveTaskListView(chatId, messageId, view) {
+  const views = ctx().state.get('taskListViews', {});
+  views[`${chatId}:${messageId}`] = view;
+  // Keep only the most recent lists
+  const keys = Object.keys(views);
+  keys.slice(0, Math.max(0, keys.length - MAX_TASK_LIST_VIEWS)).forEach(key => delete views[key]);
+  await ctx().state.set('taskListViews', views);
+}
+
+function getTaskListView(chatId, messageId) {
+  const views = ctx().state.get('taskListViews', {});
+  return views[`${chatId}:${messageId}`] || { person: null, location: null, excludeShared: false };
+}
+
+// Short one-line description to tell similar tasks apart
+function describeTask(task) {
+  let description = task.task;
+  if (task.location) description += ` @${task.location}`;
+  if (task.person) description += ` (${task.person})`;
+  if (task.when) description += ` - ${formatDue(task)}`;
+  return description;
+}
+
+// Ask which of several matching tasks was meant - answered by button or number
+function formatChoiceReply(action, candidates, updates = null) {
+  const verb = { complete: 'abhaken', delete: 'löschen', update: 'ändern', steps: 'ergänzen' }[action];
+  
+  let text = `🤔 Mehrere Aufgaben passen. Welche soll ich ${verb}?\n\n`;
+  candidates.forEach((t, i) => {
+    text += `${i + 1}. ${describeTask(t)}\n`;
+  });
+  text += '\nAntworte mit der Nummer oder tippe auf einen Button.';
+  
+  return {
+    text,
+    options: {
+      reply_markup: {
+        inline_keyboard: candidates.map((t, i) => [
+          { text: `${i + 1}. ${shorten(describeTask(t), 40)}`, callback_data: `pick:${i}` }
+        ])
+      }
+    },
+    choice: { action, updates, taskIds: candidates.map(t => t.id) }
+  };
+}
+
+// One open question per chat; messageId ties its buttons to it
+async function savePendingChoice(chatId, choice, messageId = null) {
+  const choices = ctx().state.get('pendingChoices', {});
+  choices[chatId] = { ...choice, messageId, timestamp: Date.now() };
+  await ctx().state.set('pendingChoices', choices);
+}
+
+function getPendingChoice(chatId) {
+  const choice = ctx().state.get('pendingChoices', {})[chatId];
+  if (!choice || Date.now() - choice.timestamp > CHOICE_TIMEOUT) return null;
+  return choice;
+}
+
+// Carry out the action of a pending choice with the picked task (0-based).
+// A button (messageId) only answers the question it was sent with.
+async function resolvePendingChoice(chatId, index, userName = null, messageId = null) {
+  const choice = getPendingChoice(chatId);
+  if (!choice || index < 0 || index >= choice.taskIds.length) return null;
+  if (messageId !== null && choice.messageId !== messageId) return null;
+  
+  const choices = ctx().state.get('pendingChoices', {});
+  delete choices[chatId];
+  await ctx().state.set('pendingChoices', choices);
+  
+  const task = (await getAllTasks()).find(t => t.id === choice.taskIds[index]);
+  if (!task || task.status === 'done') {
+    return 'Diese Aufgabe ist nicht mehr offen.';
+  }
+  
+  switch (choice.action) {
+    case 'complete':
+      return formatCompleted(await completeFoundTask(task, userName));
+    case 'delete':
+      return `🗑️ "${await deleteFoundTask(task)}" gelöscht!`;
+    case 'update':
+      await updateFoundTask(task, choice.updates || {});
+      return `✅ "${task.task}" aktualisiert!`;
+    case 'steps':
+      return formatSubtasksAdded(await addFoundSubtasks(task, (choice.updates || {}).items));
+    default:
+      return null;
+  }
+}
+
+// Handle a task button: done / snooze (until tomorrow) / delete by task ID
+async function handleTaskButton(action, taskId, userName = null) {
+  const tasks = await getAllTasks();
+  const task = tasks.find(t => t.id === taskId);
+  if (!task || task.status === 'done') {
+    return 'Aufgabe nicht mehr offen';
+  }
+  
+  switch (action) {
+    case 'done': {
+      const { checklist } = await completeFoundTask(task, userName);
+      if (checklist && checklist.parentDone) return `🎉 "${checklist.task}" ist fertig!`;
+      return `✅ "${task.task}" erledigt!`;
+    }
+    
+    case 'snooze': {
+      const snoozed = { ...task, when: parseDue('morgen').when };
+      await ctx().store.update(snoozed);
+      await ctx().journal.record('update', `"${task.task}" verschoben`, [{ before: task, after: snoozed }]);
+      return `⏰ "${task.task}" auf morgen verschoben`;
+    }
+    
+    case 'del':
+      await deleteFoundTask(task);
+      return `🗑️ "${task.task}" gelöscht`;
+      
+    default:
+      return 'Unbekannte Aktion';
+  }
+}
+
+// Open shopping items: category "shopping" or a quantity ("2x Hafermilch")
+function isShoppingItem(task) {
+  return task.status !== 'done' && (task.category === 'shopping' || Boolean(task.quantity));
+}
+
+// Shopping list grouped by store; ↪️ marks leftovers of the last trip
+function formatShoppingList(tasks) {
+  const items = tasks.filter(isShoppingItem);
+  if (items.length === 0) return '🛒 Die Einkaufsliste ist leer!';
+  
+  const leftovers = ctx().state.get('shoppingLeftovers', []);
+  let response = `🛒 EINKAUFSLISTE (${items.length}):\n\n`;
+  groupByStore(items).forEach(group => {
+    response += group.location ? `🏪 ${group.location.toUpperCase()}:\n` : '📦 OHNE LADEN:\n';
+    group.tasks.forEach(t => {
+      response += `• ${itemLabel(t)}`;
+      if (normalizePerson(t.person) !== sharedPerson()) response += ` (nur ${t.person})`;
+      if (leftovers.includes(t.id)) response += ' ↪️';
+      response += '\n';
+    });
+    response += '\n';
+  });
+  
+  return `${response}Im Laden? Schreib "Ich bin bei <Laden>" zum Abhaken.`;
+}
+
+// Shopping trips ("Ich bin bei Edeka"): the store's items as a checklist
+// with one button per item. Each chat has at most one trip; what wasn't
+// bought is kept as leftover and comes first on the next trip.
+function getShoppingTrip(chatId) {
+  return ctx().state.get('shoppingTrips', {})[chatId] || null;
+}
+
+async function saveShoppingTrip(chatId, trip) {
+  const trips = ctx().state.get('shoppingTrips', {});
+  if (trip) {
+    trips[chatId] = trip;
+  } else {
+    delete trips[chatId];
+  }
+  await ctx().state.set('shoppingTrips', trips);
+}
+
+function formatShoppingTrip(trip, tasks) {
+  const items = trip.itemIds.map(id => tasks.find(t => t.id === id)).filter(Boolean);
+  const open = items.filter(t => t.status !== 'done');
+  const leftovers = ctx().state.get('shoppingLeftovers', []);
+  
+  let text = `🛒 Einkauf bei ${trip.location} (${items.length - open.length}/${items.length})\n\n`;
+  items.forEach(t => {
+    text += `${t.status === 'done' ? '☑️' : '⬜'} ${itemLabel(t)}`;
+    if (t.status !== 'done' && leftovers.includes(t.id)) text += ' ↪️';
+    text += '\n';
+  });
+  text += '\nTippe auf gekaufte Artikel.';
+  
+  return {
+    text,
+    options: {
+      reply_markup: {
+        inline_keyboard: [
+          ...open.slice(0, MAX_TASK_BUTTONS).map(t => [{ text: `✅ ${shorten(itemLabel(t), 30)}`, callback_data: `buy:${t.id}` }]),
+          [{ text: '🧾 Einkauf beenden', callback_data: 'trip:done' }]
+        ]
+      }
+    }
+  };
+}
+
+// Start a trip with the open items of the store (leftovers first). Without
+// items there the normal list for the place is shown.
+function startShoppingTrip(tasks, location) {
+  const leftovers = ctx().state.get('shoppingLeftovers', []);
+  const items = tasks
+    .filter(t => t.status !== 'done' && sameLocation(t.location, location))
+    .sort((a, b) => leftovers.includes(b.id) - leftovers.includes(a.id));
+  if (items.length === 0) {
+    return formatTaskListReply(tasks, null, location);
+  }
+  
+  const trip = {
+    location: items[0].location,
+    itemIds: items.map(t => t.id),
+    startedAt: new Date().toISOString()
+  };
+  return { ...formatShoppingTrip(trip, tasks), trip };
+}
+
+// End the chat's trip; unbought items become leftovers for the next one
+async function finishShoppingTrip(chatId) {
+  const trip = getShoppingTrip(chatId);
+  if (!trip) return null;
+  
+  const tasks = await getAllTasks();
+  const items = trip.itemIds.map(id => tasks.find(t => t.id === id)).filter(Boolean);
+  const remaining = items.filter(t => t.status !== 'done');
+  
+  const openIds = new Set(tasks.filter(t => t.status !== 'done').map(t => t.id));
+  const leftovers = ctx().state.get('shoppingLeftovers', [])
+    .filter(id => openIds.has(id) && !trip.itemIds.includes(id));
+  await ctx().state.set('shoppingLeftovers', [...leftovers, ...remaining.map(t => t.id)]);
+  await saveShoppingTrip(chatId, null);
+  
+  let text = `🧾 Einkauf bei ${trip.location} beendet: ${items.length - remaining.length} von ${items.length} gekauft.`;
+  if (remaining.length > 0) {
+    text += `\n↪️ Für den nächsten Einkauf: ${remaining.map(itemLabel).join(', ')}`;
+  }
+  return text;
+}
+
+// Trip button: buy:<id> checks an item off, trip:done ends the trip.
+// Returns { result, reply } - the short answer and the new message.
+async function handleShoppingButton(chatId, messageId, action, taskId, userName = null) {
+  const trip = getShoppingTrip(chatId);
+  if (!trip || trip.messageId !== messageId) {
+    return { result: 'Dieser Einkauf ist schon beendet.', reply: null };
+  }
+  
+  if (action === 'trip') {
+    const summary = await finishShoppingTrip(chatId);
+    return { result: '🧾 Einkauf beendet', reply: summary };
+  }
+  
+  const task = (await getAllTasks()).find(t => t.id === taskId);
+  let result = 'Artikel nicht mehr offen';
+  if (task && task.status !== 'done') {
+    await completeFoundTask(task, userName);
+    result = `☑️ ${itemLabel(task)}`;
+  }
+  
+  // The last item ends the trip
+  const tasks = await getAllTasks();
+  const allBought = trip.itemIds.every(id => {
+    const item = tasks.find(t => t.id === id);
+    return !item || item.status === 'done';
+  });
+  if (allBought) {
+    return { result, reply: await finishShoppingTrip(chatId) };
+  }
+  return { result, reply: formatShoppingTrip(trip, tasks) };
+}
+
+// /einkauf [fertig|<Laden>] - shopping list, start or end a trip
+async function handleShoppingCommand(text, chatId, tasks) {
+  const arg = text.replace(/^\/einkauf\S*/, '').trim();
+  if (!arg) return formatShoppingList(tasks);
+  if (/^(fertig|ende|beenden|stop)$/i.test(arg)) {
+    return await finishShoppingTrip(chatId) || 'Gerade läuft kein Einkauf.';
+  }
+  return startShoppingTrip(tasks, arg);
+}
+
+// Morning digest - one message per household member (or just the given person)
+function formatDigest(tasks, person = null) {
+  const people = person ? [person] : ctx().household.names;
+  return people.map(p => formatPersonDigest(tasks, p));
+}
+
+// Personal + shared tasks, with today's and overdue ones first
+function formatPersonDigest(tasks, person) {
+  const today = householdToday();
+  const mine = tasks.filter(t => {
+    const taskPerson = normalizePerson(t.person);
+    return t.status !== 'done' && (taskPerson === person || taskPerson === sharedPerson());
+  });
+  
+  let response = `☀️ Guten Morgen, ${person}!\n\n`;
+  if (mine.length === 0) {
+    return response + 'Heute steht nichts an. 🎉';
+  }
+  
+  const urgent = mine
+    .filter(t => isIsoDate(t.when) && t.when <= today)
+    .sort((a, b) => formatDue(a).localeCompare(formatDue(b)));
+  const rest = mine.filter(t => !urgent.includes(t));
+  
+  if (urgent.length > 0) {
+    response += `🔥 HEUTE & ÜBERFÄLLIG:\n`;
+    urgent.forEach(t => {
+      response += `• ${itemLabel(t)}`;
+      if (t.location) response += ` @${t.location}`;
+      response += t.when < today ? ` (überfällig seit ${t.when})` : ` (heute${t.time ? ` um ${t.time}` : ''})`;
+      response += '\n';
+    });
+    response += '\n';
+  }
+  
+  if (rest.length > 0) {
+    // Done steps count towards the progress of their checklist
+    response += formatTaskList([...rest, ...tasks.filter(t => t.status === 'done')], person);
+  }
+  
+  return response.trim();
+}
+
+// Weekly review - what got done in the last 7 days and what is still open
+function formatWeeklyReview(tasks, person = null) {
+  const weekAgo = Date.now() - 7 * 24 * 60 * 60 * 1000;
+  const relevant = person
+    ? tasks.filter(t => [person, sharedPerson()].includes(normalizePerson(t.person)))
+    : tasks;
+  const done = withoutChecklists(relevant).filter(t => 
+    t.status === 'done' && t.completedAt && new Date(t.completedAt).getTime() >= weekAgo
+  );
+  
+  let response = `📅 Wochenrückblick${person ? ` für ${person}` : ''}\n\n`;
+  if (done.length > 0) {
+    response += `✅ Diese Woche erledigt (${done.length}):\n`;
+    done.forEach(t => {
+      response += `• ${t.task}`;
+      if (normalizePerson(t.person) !== sharedPerson()) response += ` (${t.person})`;
+      response += '\n';
+    });
+  } else {
+    response += '✅ Diese Woche wurde nichts abgehakt.\n';
+  }
+  
+  response += `\n${formatTaskList(relevant, person)}`;
+  return response.trim();
+}
+
+// Statistics - who got what done in a period ("woche", "monat", "14 tage",
+// "alles"; default the last 7 days)
+function formatStats(tasks, periodText = null) {
+  const period = parsePeriod(periodText);
+  if (!period) {
+    return `Unbekannter Zeitraum "${periodText}". Versuch: /stats woche, /stats monat, /stats 14 tage oder /stats alles`;
+  }
+  
+  const stats = computeStats(tasks, {
+    household: ctx().household,
+    timeZone: ctx().timezone,
+    today: householdToday(),
+    days: period.days
+  });
+  
+  let response = `📊 Statistik (${period.label})\n\n`;
+  if (stats.total === 0) {
+    return `${response}In diesem Zeitraum wurde nichts abgehakt.`;
+  }
+  
+  response += `✅ ${stats.total} erledigt, davon ${stats.sharedTotal} gemeinsame\n\n`;
+  const people = [...stats.people].sort((a, b) => b.count - a.count);
+  people.forEach(p => {
+    response += `👤 ${p.name}: ${p.count} erledigt`;
+    if (p.count > 0 && stats.sharedTotal > 0) response += ` (${p.shared} gemeinsame = ${Math.round(p.sharedShare * 100)} %)`;
+    response += '\n';
+    if (p.streak > 1) response += `   🔥 ${p.streak} Tage in Folge\n`;
+    if (p.averageDays !== null) response += `   ⏱️ Ø ${formatDays(p.averageDays)} bis erledigt\n`;
+  });
+  if (stats.unknown > 0) {
+    response += `❔ ${stats.unknown} von unbekannt erledigt\n`;
+  }
+  
+  if (people.length > 1 && people[0].count > people[1].count) {
+    response += `\n🏆 ${people[0].name} hat am meisten geschafft!`;
+  }
+  if (stats.averageDays !== null) {
+    response += `\n⏱️ Im Schnitt ${formatDays(stats.averageDays)} vom Eintragen bis erledigt`;
+  }
+  return response.trim();
+}
+
+// "1 Tag", "2,5 Tage"
+function formatDays(days) {
+  const rounded = Math.round(days * 10) / 10;
+  return `${String(rounded).replace('.', ',')} ${rounded === 1 ? 'Tag' : 'Tage'}`;
+}
+
+// Planning step for AI
+async function createPlan(text, userName, activeTasks) {
+  if (!llm || !llm.enabled('plan')) return null;
+  
+  try {
+    const planPrompt = `Analysiere diese Anfrage und erstelle einen Plan.
+
+User (${userName}) sagt: "${text}"
+Aktive Aufgaben: ${activeTasks.length}
+
+Erstelle einen JSON-Plan mit:
+{
+  "intent": "Was will der User? (kurz)",
+  "action": "add_tasks|add_subtasks|show_tasks|show_shopping_list|start_shopping|suggest_tasks|show_stats|swap_turn|complete_task|delete_task|update_task|undo|redo",
+  "parameters": {
+    // Abhängig von action
+  },
+  "expectedResult": "Was sollte das Ergebnis sein?",
+  "edgeCases": ["Mögliche Probleme"],
+  "reasoning": "Warum diese Aktion?"
+}
+
+WICHTIG: 
+- Bei "nur meine" → excludeShared: true
+- Bei Orten wie "bei DM" → location parameter
+- Standard ist assignedTo: "${sharedPerson()}" für neue Aufgaben`;
+
+    const message = await llm.complete('plan', {
+      messages: [
+        { role: 'system', content: 'Du bist ein Planungs-Assistent. Antworte NUR mit validem JSON.' },
+        { role: 'user', content: planPrompt }
+      ],
+      temperature: 0.2,
+      response_format: { type: "json_object" }
+    });
+
+    const plan = JSON.parse(message.content);
+    debugLog('PLAN', 'Created plan', plan);
+    return plan;
+  } catch (error) {
     debugLog('PLAN_ERROR', error.message);
     return null;
   }
@@ -657,13 +1460,13 @@ WICHTIG:
 
 // Evaluation step for AI
 async function evaluateResult(plan, result, text, userName) {
-  if (!openai || !plan) return result;
+  if (!llm || !llm.enabled('eval') || !plan) return result;
   
   try {
     const evalPrompt = `Bewerte das Ergebnis und verbessere die Antwort wenn nötig.
 
 Plan: ${JSON.stringify(plan)}
-Ergebnis: ${result}
+Ergebnis: ${replyText(result)}
 Original Anfrage: "${text}" von ${userName}
 
 Erstelle eine JSON-Antwort:
@@ -674,8 +1477,7 @@ Erstelle eine JSON-Antwort:
   "additionalInfo": "Zusätzliche hilfreiche Infos"
 }`;
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o',
+    const message = await llm.complete('eval', {
       messages: [
         { role: 'system', content: 'Du bist ein Evaluierungs-Assistent. Antworte NUR mit validem JSON.' },
         { role: 'user', content: evalPrompt }
@@ -684,7 +1486,7 @@ Erstelle eine JSON-Antwort:
       response_format: { type: "json_object" }
     });
 
-    const evaluation = JSON.parse(completion.choices[0].message.content);
+    const evaluation = JSON.parse(message.content);
     debugLog('EVAL', 'Evaluation result', evaluation);
     
     // Return improved response if available
@@ -693,7 +1495,7 @@ Erstelle eine JSON-Antwort:
       if (evaluation.additionalInfo && DEBUG_MODE) {
         finalResponse += `\n\n💡 ${evaluation.additionalInfo}`;
       }
-      return finalResponse;
+      return withReplyText(result, finalResponse);
     }
     
     return result;
@@ -703,9 +1505,98 @@ Erstelle eine JSON-Antwort:
   }
 }
 
+// Run one tool call (from the AI or the rule-based parser); returns the reply
+async function executeToolCall(functionName, args, tasks, userName) {
+  switch (functionName) {
+    case 'show_tasks':
+      return formatTaskListReply(tasks, args.person, args.location, args.excludeShared);
+      
+    case 'add_tasks':
+      const result = await addTasks(args.tasks, userName);
+      if (result.count === 0 && result.merged.length === 0) {
+        return 'Diese Aufgaben existieren bereits';
+      }
+      
+      // Items that were already on the list only get a higher quantity
+      const mergedInfo = result.merged.map(t => `🛒 ${itemLabel(t)} (schon auf der Liste, Menge erhöht)`).join('\n');
+      if (result.count === 0) return mergedInfo;
+      
+      // Build response based on what was added
+      const sharedTasks = result.addedInfo.filter(t => t.isShared);
+      const personalTasks = result.addedInfo.filter(t => !t.isShared);
+      
+      let response = '✅ ';
+      if (sharedTasks.length > 0) {
+        response += `${sharedTasks.length} gemeinsame Aufgabe${sharedTasks.length > 1 ? 'n' : ''} hinzugefügt`;
+        if (personalTasks.length > 0) response += ' und ';
+      }
+      if (personalTasks.length > 0) {
+        const persons = [...new Set(personalTasks.map(t => t.person))];
+        response += `${personalTasks.length} Aufgabe${personalTasks.length > 1 ? 'n' : ''} für ${persons.join(', ')} hinzugefügt`;
+      }
+      response += '!';
+      
+      // Add details for single task
+      if (result.count === 1) {
+        const task = result.addedInfo[0];
+        response = `✅ ${task.isShared ? 'Gemeinsame Aufgabe' : `Aufgabe für ${task.person}`} hinzugefügt: "${itemLabel(result.added[0])}"`;
+        if (task.recurrence) response += ` 🔁 ${describeRecurrence(task.recurrence)}`;
+        if (task.rotation) response += `\n🔄 Im Wechsel (${describeRotation(task.rotation)}), zuerst ist ${task.person} dran`;
+      }
+      
+      return mergedInfo ? `${response}\n${mergedInfo}` : response;
+      
+    case 'show_shopping_list':
+      return formatShoppingList(tasks);
+      
+    case 'start_shopping':
+      return startShoppingTrip(tasks, args.location);
+      
+    case 'suggest_tasks':
+      return suggestTasks(tasks, args.time, args.location, args.person);
+      
+    case 'show_stats':
+      return formatStats(tasks, args.period);
+      
+    case 'complete_task':
+      const completed = await completeTask(args.taskName, userName);
+      if (completed && completed.ambiguous) return formatChoiceReply('complete', completed.ambiguous);
+      return completed ? formatCompleted(completed) : `Nicht gefunden: "${args.taskName}"`;
+      
+    case 'delete_task':
+      const deleted = await deleteTask(args.taskName, userName);
+      if (deleted && deleted.ambiguous) return formatChoiceReply('delete', deleted.ambiguous);
+      return deleted ? `🗑️ "${deleted}" gelöscht!` : `Nicht gefunden: "${args.taskName}"`;
+      
+    case 'update_task':
+      const updated = await updateTask(args.taskName, args.updates, userName);
+      if (updated && updated.ambiguous) return formatChoiceReply('update', updated.ambiguous, args.updates);
+      if (updated && args.updates && args.updates.rotation !== undefined) return formatRotationUpdate(updated);
+      return updated ? `✅ Aufgabe aktualisiert!` : `Nicht gefunden: "${args.taskName}"`;
+      
+    case 'swap_turn':
+      return await swapTurn(args.with, args.taskName, userName);
+      
+    case 'add_subtasks':
+      const subtasks = await addSubtasks(args.taskName, args.items, userName);
+      if (subtasks && subtasks.ambiguous) return formatChoiceReply('steps', subtasks.ambiguous, { items: args.items });
+      return formatSubtasksAdded(subtasks);
+      
+    case 'undo_last_action':
+      return await undoLastAction();
+      
+    case 'redo_last_action':
+      return await redoLastAction();
+      
+    default:
+      console.error(`Unknown function: ${functionName}`);
+      return null;
+  }
+}
+
 // Enhanced AI handler with planning and evaluation
 async function handleAIWithReasoning(text, tasks, userName, isGroup = false) {
-  if (!openai) return null;
+  if (!llm) return null;
   
   const startTime = Date.now();
   const activeTasks = tasks.filter(t => t.status !== 'done');
@@ -727,7 +1618,7 @@ async function handleAIWithReasoning(text, tasks, userName, isGroup = false) {
     
     // Add debug info if enabled
     if (DEBUG_MODE && plan) {
-      return `${finalResult}\n\n🔍 Debug: ${plan.action} in ${totalTime}ms`;
+      return withReplyText(finalResult, `${replyText(finalResult)}\n\n🔍 Debug: ${plan.action} in ${totalTime}ms`);
     }
     
     return finalResult;
@@ -739,252 +1630,374 @@ async function handleAIWithReasoning(text, tasks, userName, isGroup = false) {
   }
 }
 
-// Original AI handler (now can accept plan hint)
-async function handleAI(text, tasks, userName, isGroup = false, planHint = null) {
-  if (!openai) return null;
+// Ask the model for tool calls (system prompt with the household rules)
+async function askModel(text, tasks, userName, planHint = null) {
+  const activeTasks = tasks.filter(t => t.status !== 'done');
   
-  try {
-    const activeTasks = tasks.filter(t => t.status !== 'done');
-    
-    // Add plan hint to system message if available
-    let systemContent = `Du bist ein hilfreicher Aufgaben-Bot für ein Paar (Moana und Jeremy). 
-          
-WICHTIGSTE REGEL: ALLE AUFGABEN SIND STANDARDMÄSSIG FÜR BEIDE!
+  // Member names for the examples
+  const shared = sharedPerson();
+  const [personA, personB = personA] = ctx().household.names;
+  const aliases = ctx().household.members
+    .filter(m => m.aliases.length > 0)
+    .map(m => `${m.aliases.join(', ')} = ${m.name}`)
+    .join('; ');
+  
+  // Add plan hint to system message if available
+  let systemContent = `Du bist ein hilfreicher Aufgaben-Bot für ${ctx().household.names.length === 2 ? 'ein Paar' : 'einen Haushalt'} (${ctx().household.describe()}). 
+${aliases ? `Spitznamen: ${aliases}\n` : ''}          
+WICHTIGSTE REGEL: ALLE AUFGABEN SIND STANDARDMÄSSIG FÜR ${shared.toUpperCase()}!
 
 KRITISCHE REGELN:
-1. DEFAULT = BEIDE: Jede Aufgabe ist automatisch für beide, es sei denn:
+1. DEFAULT = ${shared.toUpperCase()}: Jede Aufgabe ist automatisch für ${shared.toLowerCase()}, es sei denn:
    - Jemand sagt explizit "ich muss", "für mich", "meine Aufgabe"
-   - Eine spezifische Person wird genannt: "Jeremy muss", "Moana soll", "für Jeremy"
+   - Eine spezifische Person wird genannt: "${personA} muss", "${personB} soll", "für ${personA}"
    
-2. Diese Aufgaben sind FÜR BEIDE (Standard):
-   - "Müll rausbringen" → assignedTo: "Beide", category: "both"
-   - "Edeka - Milch" → assignedTo: "Beide", category: "shopping"
-   - "Wohnung putzen" → assignedTo: "Beide", category: "both"
-   - "Geschenke kaufen" → assignedTo: "Beide", category: "both"
+2. Diese Aufgaben sind FÜR ${shared.toUpperCase()} (Standard):
+   - "Müll rausbringen" → assignedTo: "${shared}", category: "both"
+   - "Edeka - Milch" → assignedTo: "${shared}", category: "shopping"
+   - "Wohnung putzen" → assignedTo: "${shared}", category: "both"
+   - "Geschenke kaufen" → assignedTo: "${shared}", category: "both"
 
 3. Diese Aufgaben sind NUR für eine Person:
    - "Ich muss zum Arzt" → assignedTo: "${userName}"
    - "Für mich: Haare schneiden" → assignedTo: "${userName}"
-   - "Jeremy muss zum Zahnarzt" → assignedTo: "Jeremy"
-   - "Moana soll Yoga machen" → assignedTo: "Moana"
+   - "${personA} muss zum Zahnarzt" → assignedTo: "${personA}"
+   - "${personB} soll Yoga machen" → assignedTo: "${personB}"
 
 4. ORTSBASIERTE ABFRAGEN:
-   - "Bin bei DM, was brauch ich?" → show_tasks mit location: "DM"
+   - "Ich bin bei Edeka" / "Bin bei DM, was brauch ich?" → start_shopping mit location (Einkauf zum Abhaken)
    - "Was muss ich bei Edeka holen?" → show_tasks mit location: "Edeka"
    - "Was gibt's bei Rewe?" → show_tasks mit location: "Rewe"
+   - "Einkaufsliste" / "Was müssen wir einkaufen?" → show_shopping_list
    
 5. NUR PERSÖNLICHE AUFGABEN (ohne gemeinsame):
    - "Was sind NUR meine Aufgaben?" → show_tasks mit person: "${userName}", excludeShared: true
    - "nur meine Aufgaben" → show_tasks mit person: "${userName}", excludeShared: true
    - "ausschließlich meine Aufgaben" → show_tasks mit person: "${userName}", excludeShared: true
-   - "Zeige nur Jeremys Aufgaben" → show_tasks mit person: "Jeremy", excludeShared: true
+   - "Zeige nur ${personA}s Aufgaben" → show_tasks mit person: "${personA}", excludeShared: true
    
 6. NORMALE AUFGABENANSICHT (mit gemeinsamen):
    - "Was muss ich machen?" → show_tasks mit person: "${userName}" (zeigt persönliche + gemeinsame)
    - "Meine Aufgaben" → show_tasks mit person: "${userName}" (zeigt persönliche + gemeinsame)
-   - "Jeremy Aufgaben" → show_tasks mit person: "Jeremy" (zeigt Jeremys + gemeinsame)
+   - "${personA} Aufgaben" → show_tasks mit person: "${personA}" (zeigt ${personA}s + gemeinsame)
    
-7. WICHTIG: Bei Aufgaben ohne Personenbezug → IMMER "Beide"!
+7. WICHTIG: Bei Aufgaben ohne Personenbezug → IMMER "${shared}"!
 
 8. Orte erkennen: "Edeka - Tofu" = Aufgabe "Tofu" mit location "Edeka"
 
-9. "und aufgaben für beide?" ist eine FRAGE, keine neue Aufgabe!
+9. "und aufgaben für ${shared.toLowerCase()}?" ist eine FRAGE, keine neue Aufgabe!
+
+10. WIEDERKEHRENDE AUFGABEN → recurrence setzen:
+   - "Jeden Montag Müll rausbringen" → task: "Müll rausbringen", recurrence: { every: 1, unit: "week", weekday: "montag" }
+   - "Bad putzen alle zwei Wochen" → task: "Bad putzen", recurrence: { every: 2, unit: "week" }
+   - "Pflanzen gießen alle 3 Tage" → task: "Pflanzen gießen", recurrence: { every: 3, unit: "day" }
+   - Die Wiederholung gehört NICHT in den Aufgabentext
+
+11. MEHRERE AUFGABEN auf einmal → eine Funktion pro Aufgabe:
+   - "Milch und Eier sind erledigt" → complete_task "Milch" und complete_task "Eier"
+
+12. MENGEN beim Einkauf → quantity und unit setzen, nicht in den Aufgabentext:
+   - "2x Hafermilch" → task: "Hafermilch", quantity: 2
+   - "500g Mehl" → task: "Mehl", quantity: 500, unit: "g"
+   - "Milch" noch einmal hinzufügen erhöht die Menge - einfach add_tasks aufrufen
+
+13. DAUER UND PRIORITÄT: Schätze bei jeder neuen Aufgabe duration (Minuten) und priority.
+   - "Ich hab 20 Minuten, was kann ich machen?" → suggest_tasks mit time: "20 Minuten", person: "${userName}"
+   - "Ändere Bad putzen auf 45 Minuten" → update_task mit updates: { duration: 45 }
+   - "Steuer ist dringend" → update_task mit updates: { priority: "high" }
+
+14. AUFGABEN IM WECHSEL (reihum, damit sich jemand verantwortlich fühlt):
+   - "Jeden Montag Müll rausbringen, abwechselnd" → add_tasks mit recurrence und rotation: "abwechselnd"
+   - "Bad putzen soll reihum gehen" → update_task mit updates: { rotation: "abwechselnd" }
+   - "Bad putzen fair verteilen" → update_task mit updates: { rotation: "fair" }
+   - "Tausch mit ${personA}" → swap_turn mit with: "${personA}"
+
+15. STATISTIK: "Wer hat diese Woche mehr gemacht?" → show_stats mit period: "woche"; "Statistik für den Monat" → period: "monat"
+
+16. CHECKLISTEN (Schritte innerhalb einer Aufgabe, werden einzeln abgehakt):
+   - "Füge zu Party hinzu: Kuchen, Deko" → add_subtasks mit taskName: "Party", items: ["Kuchen", "Deko"]
+   - "Umzug vorbereiten: Kartons besorgen, Transporter mieten" → add_subtasks (die Aufgabe wird angelegt, falls es sie noch nicht gibt)
+   - "Kuchen erledigt" → complete_task wie bei jeder Aufgabe; sind alle Schritte erledigt, ist die Aufgabe fertig
 
 Antworte immer auf Deutsch und sei freundlich.`;
 
-    if (planHint) {
-      systemContent += `\n\nHINWEIS vom Planer: ${JSON.stringify(planHint)}`;
-    }
-    
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages: [
-        { role: 'system', content: systemContent },
-        { role: 'user', content: `User (${userName}) sagt: "${text}"\n\nAktuelle Aufgaben: ${activeTasks.length}` }
-      ],
-      tools: [
-        {
-          type: 'function',
-          function: {
-            name: 'show_tasks',
-            description: 'Zeige Aufgaben (für alle oder eine bestimmte Person)',
-            parameters: {
-              type: 'object',
-              properties: {
-                person: { 
-                  type: 'string', 
-                  description: 'Person filter: "Jeremy", "Moana", "Beide", oder leer für alle'
-                },
-                location: {
-                  type: 'string',
-                  description: 'Ort filter: "DM", "Edeka", "Rewe", etc. - zeigt nur Aufgaben an diesem Ort'
-                },
-                excludeShared: {
-                  type: 'boolean',
-                  description: 'Wenn true, zeige NUR persönliche Aufgaben (keine gemeinsamen)'
-                }
+  if (planHint) {
+    systemContent += `\n\nHINWEIS vom Planer: ${JSON.stringify(planHint)}`;
+  }
+  
+  return llm.complete('chat', {
+    messages: [
+      { role: 'system', content: systemContent },
+      { role: 'user', content: `User (${userName}) sagt: "${text}"\n\nAktuelle Aufgaben: ${activeTasks.length}` }
+    ],
+    tools: [
+      {
+        type: 'function',
+        function: {
+          name: 'show_tasks',
+          description: 'Zeige Aufgaben (für alle oder eine bestimmte Person)',
+          parameters: {
+            type: 'object',
+            properties: {
+              person: { 
+                type: 'string', 
+                description: `Person filter: ${ctx().household.names.map(n => `"${n}"`).join(', ')}, "${shared}", oder leer für alle`
+              },
+              location: {
+                type: 'string',
+                description: 'Ort filter: "DM", "Edeka", "Rewe", etc. - zeigt nur Aufgaben an diesem Ort'
+              },
+              excludeShared: {
+                type: 'boolean',
+                description: 'Wenn true, zeige NUR persönliche Aufgaben (keine gemeinsamen)'
               }
             }
           }
-        },
-        {
-          type: 'function',
-          function: {
-            name: 'add_tasks',
-            description: 'Füge neue Aufgaben hinzu (Standard: für beide)',
-            parameters: {
-              type: 'object',
-              properties: {
-                tasks: {
-                  type: 'array',
-                  items: {
-                    type: 'object',
-                    properties: {
-                      task: { type: 'string', description: 'Aufgabenbeschreibung' },
-                      location: { type: 'string', description: 'Ort (optional)' },
-                      when: { type: 'string', description: 'Wann (optional)' },
-                      category: { 
-                        type: 'string', 
-                        enum: ['shopping', 'household', 'personal', 'work', 'both', 'general'],
-                        description: 'Kategorie (both für gemeinsame)'
-                      },
-                      assignedTo: { 
-                        type: 'string', 
-                        description: 'Person: "Jeremy", "Moana", oder "Beide" (Standard ist "Beide")'
-                      }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'add_tasks',
+          description: `Füge neue Aufgaben hinzu (Standard: für ${shared.toLowerCase()})`,
+          parameters: {
+            type: 'object',
+            properties: {
+              tasks: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    task: { type: 'string', description: 'Aufgabenbeschreibung' },
+                    location: { type: 'string', description: 'Ort (optional)' },
+                    when: { type: 'string', description: 'Wann (optional), wie vom Nutzer gesagt, z.B. "morgen um 18 Uhr", "nächste Woche Freitag", "3.5."' },
+                    quantity: { type: 'number', description: 'Menge bei Einkäufen (optional), z.B. 2 für "2x Hafermilch"' },
+                    duration: { type: 'integer', description: 'Geschätzte Dauer in Minuten - schätze immer, z.B. 5 für "Müll rausbringen", 60 für "Bad putzen"' },
+                    priority: { type: 'string', enum: ['high', 'normal', 'low'], description: 'Priorität - schätze immer: high für Dringendes/Termine/Rechnungen, low für "irgendwann"' },
+                    rotation: { type: 'string', description: `Nur für Aufgaben im Wechsel: "abwechselnd" (alle), "${ctx().household.names.join(', ')}" (diese Reihenfolge) oder "fair" (wer zuletzt am wenigsten gemacht hat)` },
+                    unit: { type: 'string', description: 'Einheit zur Menge (optional): "g", "kg", "ml", "l", "Packung", "Flasche" ...' },
+                    category: { 
+                      type: 'string', 
+                      enum: ['shopping', 'household', 'personal', 'work', 'both', 'general'],
+                      description: 'Kategorie (both für gemeinsame)'
                     },
-                    required: ['task']
-                  }
+                    assignedTo: { 
+                      type: 'string', 
+                      description: `Person: ${ctx().household.names.map(n => `"${n}"`).join(', ')} oder "${shared}" (Standard ist "${shared}")`
+                    },
+                    recurrence: {
+                      type: 'object',
+                      description: 'Nur für wiederkehrende Aufgaben ("jeden Montag", "alle 2 Wochen")',
+                      properties: {
+                        every: { type: 'integer', description: 'Intervall, z.B. 2 für "alle 2 Wochen"' },
+                        unit: { type: 'string', enum: ['day', 'week', 'month'] },
+                        weekday: { type: 'string', description: 'Wochentag bei wöchentlichen Aufgaben, z.B. "montag"' }
+                      },
+                      required: ['every', 'unit']
+                    }
+                  },
+                  required: ['task']
                 }
-              },
-              required: ['tasks']
-            }
+              }
+            },
+            required: ['tasks']
           }
-        },
-        {
-          type: 'function',
-          function: {
-            name: 'complete_task',
-            description: 'Markiere Aufgabe als erledigt',
-            parameters: {
-              type: 'object',
-              properties: {
-                taskName: { type: 'string' }
-              },
-              required: ['taskName']
-            }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'show_shopping_list',
+          description: 'Zeige die Einkaufsliste, gruppiert nach Läden'
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'start_shopping',
+          description: 'Starte einen Einkauf in einem Laden: zeigt dessen Artikel zum Abhaken ("Ich bin bei Edeka")',
+          parameters: {
+            type: 'object',
+            properties: {
+              location: { type: 'string', description: 'Laden, z.B. "Edeka", "DM"' }
+            },
+            required: ['location']
           }
-        },
-        {
-          type: 'function',
-          function: {
-            name: 'delete_task',
-            description: 'Lösche eine Aufgabe',
-            parameters: {
-              type: 'object',
-              properties: {
-                taskName: { type: 'string' }
-              },
-              required: ['taskName']
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'suggest_tasks',
+          description: 'Schlage Aufgaben vor, die in die verfügbare Zeit passen ("Ich hab 20 Minuten, was kann ich machen?")',
+          parameters: {
+            type: 'object',
+            properties: {
+              time: { type: 'string', description: 'Verfügbare Zeit, z.B. "20 Minuten", "1 Stunde"' },
+              location: { type: 'string', description: 'Wo der User ist (optional): "zuhause", "unterwegs" oder ein Laden' },
+              person: { type: 'string', description: 'Für wen (meist der User selbst)' }
             }
           }
-        },
-        {
-          type: 'function',
-          function: {
-            name: 'update_task',
-            description: 'Aktualisiere eine Aufgabe',
-            parameters: {
-              type: 'object',
-              properties: {
-                taskName: { type: 'string' },
-                updates: {
-                  type: 'object',
-                  properties: {
-                    when: { type: 'string' },
-                    location: { type: 'string' },
-                    person: { type: 'string' }
-                  }
-                }
-              },
-              required: ['taskName', 'updates']
-            }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'swap_turn',
+          description: `Tausche bei einer Aufgabe im Wechsel, wer dran ist ("tausch mit ${personB}")`,
+          parameters: {
+            type: 'object',
+            properties: {
+              with: { type: 'string', description: 'Mit wem getauscht wird' },
+              taskName: { type: 'string', description: 'Welche Aufgabe (optional, sonst die, bei der der User dran ist)' }
+            },
+            required: ['with']
           }
-        },
-        {
-          type: 'function',
-          function: {
-            name: 'undo_last_action',
-            description: 'Mache die letzte Aktion rückgängig'
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'add_subtasks',
+          description: 'Füge einer Aufgabe Schritte hinzu (Checkliste, z.B. "Füge zu Party hinzu: Kuchen, Deko"). Gibt es die Aufgabe noch nicht, wird sie angelegt.',
+          parameters: {
+            type: 'object',
+            properties: {
+              taskName: { type: 'string', description: 'Die Aufgabe, zu der die Schritte gehören' },
+              items: { type: 'array', items: { type: 'string' }, description: 'Die einzelnen Schritte' }
+            },
+            required: ['taskName', 'items']
           }
         }
-      ],
-      tool_choice: 'auto',
-      temperature: 0.3
-    });
-    
-    const message = completion.choices[0].message;
-    
-    // Handle tool calls
-    if (message.tool_calls) {
-      for (const toolCall of message.tool_calls) {
-        const functionName = toolCall.function.name;
-        const args = JSON.parse(toolCall.function.arguments);
-        
-        debugLog('TOOL_CALL', `${functionName}`, args);
-        
-        switch (functionName) {
-          case 'show_tasks':
-            return formatTaskList(tasks, args.person, args.location, args.excludeShared);
-            
-          case 'add_tasks':
-            const result = await addTasks(args.tasks, userName);
-            if (result.count === 0) {
-              return 'Diese Aufgaben existieren bereits';
-            }
-            
-            // Build response based on what was added
-            const sharedTasks = result.addedInfo.filter(t => t.isShared);
-            const personalTasks = result.addedInfo.filter(t => !t.isShared);
-            
-            let response = '✅ ';
-            if (sharedTasks.length > 0) {
-              response += `${sharedTasks.length} gemeinsame Aufgabe${sharedTasks.length > 1 ? 'n' : ''} hinzugefügt`;
-              if (personalTasks.length > 0) response += ' und ';
-            }
-            if (personalTasks.length > 0) {
-              const persons = [...new Set(personalTasks.map(t => t.person))];
-              response += `${personalTasks.length} Aufgabe${personalTasks.length > 1 ? 'n' : ''} für ${persons.join(', ')} hinzugefügt`;
-            }
-            response += '!';
-            
-            // Add details for single task
-            if (result.count === 1) {
-              const task = result.addedInfo[0];
-              response = `✅ ${task.isShared ? 'Gemeinsame Aufgabe' : `Aufgabe für ${task.person}`} hinzugefügt: "${task.task}"`;
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'show_stats',
+          description: 'Zeige, wer wie viele Aufgaben erledigt hat (pro Person, Anteil an gemeinsamen Aufgaben, Serien, Dauer bis erledigt)',
+          parameters: {
+            type: 'object',
+            properties: {
+              period: { type: 'string', description: 'Zeitraum: "heute", "woche" (Standard), "monat", "jahr", "alles" oder z.B. "14 tage"' }
             }
-            
-            return response;
-            
-          case 'complete_task':
-            const completed = await completeTask(args.taskName);
-            return completed ? `✅ "${completed}" erledigt!` : `Nicht gefunden: "${args.taskName}"`;
-            
-          case 'delete_task':
-            const deleted = await deleteTask(args.taskName);
-            return deleted ? `🗑️ "${deleted}" gelöscht!` : `Nicht gefunden: "${args.taskName}"`;
-            
-          case 'update_task':
-            const updated = await updateTask(args.taskName, args.updates);
-            return updated ? `✅ Aufgabe aktualisiert!` : `Nicht gefunden: "${args.taskName}"`;
-            
-          case 'undo_last_action':
-            return await undoLastAction();
-            
-          default:
-            console.error(`Unknown function: ${functionName}`);
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'complete_task',
+          description: 'Markiere Aufgabe als erledigt',
+          parameters: {
+            type: 'object',
+            properties: {
+              taskName: { type: 'string' }
+            },
+            required: ['taskName']
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'delete_task',
+          description: 'Lösche eine Aufgabe',
+          parameters: {
+            type: 'object',
+            properties: {
+              taskName: { type: 'string' }
+            },
+            required: ['taskName']
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'update_task',
+          description: 'Aktualisiere eine Aufgabe',
+          parameters: {
+            type: 'object',
+            properties: {
+              taskName: { type: 'string' },
+              updates: {
+                type: 'object',
+                properties: {
+                  when: { type: 'string', description: 'Neues Datum/Uhrzeit, z.B. "übermorgen", "Freitag um 10"' },
+                  location: { type: 'string' },
+                  person: { type: 'string' },
+                  recurrence: { type: 'string', description: 'Neue Wiederholung, z.B. "jeden Freitag", oder "keine"' },
+                  quantity: { type: 'number', description: 'Neue Menge bei Einkäufen' },
+                  duration: { type: 'integer', description: 'Neue geschätzte Dauer in Minuten' },
+                  priority: { type: 'string', enum: ['high', 'normal', 'low'] },
+                  rotation: { type: 'string', description: `Wechsel: "abwechselnd", "fair", "${ctx().household.names.join(', ')}" oder "keine"` },
+                  unit: { type: 'string', description: 'Neue Einheit zur Menge' }
+                }
+              }
+            },
+            required: ['taskName', 'updates']
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'undo_last_action',
+          description: 'Mache die letzte Aktion rückgängig (mehrfach möglich, auch Erledigen und Löschen)'
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'redo_last_action',
+          description: 'Wiederhole die zuletzt rückgängig gemachte Aktion'
         }
       }
+    ],
+    tool_choice: 'auto',
+    temperature: 0.3
+  });
+}
+
+// Plan and tool calls for a message without running them (intent evaluation)
+async function understand(text, tasks, userName) {
+  if (!llm) return null;
+  
+  const plan = await createPlan(text, userName, tasks.filter(t => t.status !== 'done'));
+  const message = await askModel(text, tasks, userName, plan);
+  const toolCalls = (message.tool_calls || []).map(call => ({
+    name: call.function.name,
+    args: JSON.parse(call.function.arguments || '{}')
+  }));
+  return { plan, toolCalls, content: message.content };
+}
+
+// Original AI handler (now can accept plan hint)
+async function handleAI(text, tasks, userName, isGroup = false, planHint = null) {
+  if (!llm) return null;
+  
+  try {
+    const message = await askModel(text, tasks, userName, planHint);
+    
+    // Handle tool calls ("Milch und Eier sind erledigt" needs one per task)
+    const replies = [];
+    for (const toolCall of message.tool_calls || []) {
+      const functionName = toolCall.function.name;
+      const args = JSON.parse(toolCall.function.arguments);
+      
+      debugLog('TOOL_CALL', `${functionName}`, args);
+      
+      const reply = await executeToolCall(functionName, args, tasks, userName);
+      if (reply !== null) replies.push(reply);
+    }
+    if (replies.length === 1) return replies[0];
+    if (replies.length > 1) {
+      // One message for all of them; it keeps the buttons of a structured
+      // reply, a pending choice first so a number answer still works
+      const structured = replies.find(reply => typeof reply !== 'string' && reply.choice)
+        || replies.find(reply => typeof reply !== 'string');
+      const text = replies.map(replyText).join('\n');
+      return structured ? withReplyText(structured, text) : text;
     }
     
     return message.content || 'Ich bin mir nicht sicher, was du meinst. Kannst du es anders formulieren?';
@@ -995,118 +2008,377 @@ Antworte immer auf Deutsch und sei freundlich.`;
   }
 }
 
-// Suggest tasks based on time and location
-function suggestTasks(tasks, timeAvailable, location) {
-  const active = tasks.filter(t => t.status !== 'done');
+// Suggest tasks for the available time and place ("Ich hab 20 Minuten"):
+// the most important and most urgent ones that fit, using each task's
+// estimated duration. Without a person all open tasks count.
+function suggestTasks(tasks, timeAvailable, location, person = null) {
+  const active = filterTasks(tasks, person);
   
   if (active.length === 0) {
     return '🎉 Super! Du hast keine offenen Aufgaben!';
   }
   
-  // Parse time to minutes
-  let minutes = 0;
-  if (timeAvailable) {
-    const timeMatch = timeAvailable.match(/(\d+)\s*(minute|minuten|stunde|stunden|hour)/i);
-    if (timeMatch) {
-      const value = parseInt(timeMatch[1]);
-      const unit = timeMatch[2].toLowerCase();
-      if (unit.includes('stunde') || unit.includes('hour')) {
-        minutes = value * 60;
-      } else {
-        minutes = value;
-      }
+  const minutes = timeAvailable ? parseDuration(timeAvailable) : null;
+  const { picked, totalMinutes, candidates } = pickTasks(active, { minutes, location });
+  const context = [minutes ? formatDuration(minutes) : '', location ? `(${location})` : ''].filter(Boolean).join(' ');
+  
+  // Build response
+  if (picked.length === 0) {
+    if (candidates.length === 0) {
+      return `Hmm, bei ${location} gibt es gerade nichts zu tun.`;
     }
+    const shortest = Math.min(...candidates.map(estimatedMinutes));
+    return `Hmm, für ${context} passt keine Aufgabe - die kürzeste dauert ${formatDuration(shortest)}.`;
+  }
+  
+  let response = `💡 Vorschläge${context ? ` für ${context}` : ''}:\n\n`;
+  picked.forEach(t => {
+    response += `• ${itemLabel(t)} (${t.duration ? '' : '~'}${formatDuration(estimatedMinutes(t))})`;
+    if (t.priority === 'high') response += ' ❗';
+    if (normalizePerson(t.person) !== sharedPerson()) response += ` (nur ${t.person})`;
+    if (t.location && !location) response += ` @${t.location}`;
+    if (t.when) response += ` - ${formatDue(t)}`;
+    response += '\n';
+  });
+  response += `\n⏱️ Zusammen etwa ${formatDuration(totalMinutes)}`;
+  
+  if (picked.length < candidates.length) {
+    response += `\n(${candidates.length - picked.length} weitere Aufgaben${minutes ? ' passen nicht mehr rein' : ''})`;
   }
   
-  // Filter tasks by location and estimated time
-  let suggested = active;
-  
-  // Location filtering
-  if (location) {
-    const locationLower = location.toLowerCase();
-    if (locationLower.includes('zuhause') || locationLower.includes('home')) {
-      suggested = suggested.filter(t => 
-        !t.location || 
-        t.location.toLowerCase().includes('zuhause') ||
-        t.category === 'household'
-      );
-    } else if (locationLower.includes('unterwegs') || locationLower.includes('draußen')) {
-      suggested = suggested.filter(t => 
-        t.location && !t.location.toLowerCase().includes('zuhause') ||
-        t.category === 'shopping'
-      );
+  return response;
+}
+
+// /erinnerungen [hier|aus|<Stunde>] - configure due-date reminders
+async function handleReminderCommand(text, chatId) {
+  const arg = text.replace('/erinnerungen', '').trim().toLowerCase();
+  let settings = getReminderSettings(ctx().state);
+  
+  if (arg === 'hier' || arg === 'an') {
+    settings = await updateReminderSettings(ctx().state, { chatId: String(chatId) });
+  } else if (arg === 'aus') {
+    settings = await updateReminderSettings(ctx().state, { chatId: null });
+  } else if (/^\d{1,2}$/.test(arg) && parseInt(arg, 10) < 24) {
+    settings = await updateReminderSettings(ctx().state, { hour: parseInt(arg, 10) });
+  } else if (arg) {
+    return 'Benutze: /erinnerungen hier | aus | <Stunde 0-23>';
+  }
+  
+  if (!settings.chatId) {
+    return '🔕 Erinnerungen sind aus. Mit "/erinnerungen hier" in diesem Chat aktivieren.';
+  }
+  const where = String(settings.chatId) === String(chatId) ? 'in diesem Chat' : `in Chat ${settings.chatId}`;
+  return `⏰ Erinnerungen ${where}, täglich ab ${settings.hour} Uhr.`;
+}
+
+// /digest [an|aus|<Uhrzeit>] and /digest woche [an|aus|<Uhrzeit>]
+async function handleDigestCommand(text, chatId, userName, isGroup) {
+  const args = text.replace('/digest', '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const weekly = args[0] === 'woche';
+  if (weekly) args.shift();
+  const arg = args[0];
+  
+  const key = weekly ? 'weekly' : 'daily';
+  const timeKey = weekly ? 'weeklyTime' : 'dailyTime';
+  // In private chats the digest is personal, in groups there is one per person
+  const person = isGroup ? null : userName;
+  
+  let settings = getDigestSettings(ctx().state, chatId);
+  if (arg === 'an') {
+    settings = await updateDigestSettings(ctx().state, chatId, { [key]: true, person });
+  } else if (arg === 'aus') {
+    settings = await updateDigestSettings(ctx().state, chatId, { [key]: false });
+  } else if (arg && parseTime(arg)) {
+    settings = await updateDigestSettings(ctx().state, chatId, { [key]: true, [timeKey]: parseTime(arg), person });
+  } else if (arg) {
+    return 'Benutze: /digest an | aus | <Uhrzeit>\noder: /digest woche an | aus | <Uhrzeit>';
+  }
+  
+  const daily = settings.daily ? `☀️ Tägliche Übersicht um ${settings.dailyTime} Uhr` : '☀️ Tägliche Übersicht: aus';
+  const weeklyInfo = settings.weekly ? `📅 Wochenrückblick sonntags um ${settings.weeklyTime} Uhr` : '📅 Wochenrückblick: aus';
+  return `${daily}\n${weeklyInfo}`;
+}
+
+// /api [neu|aus] - API token of the user for this household
+async function handleApiCommand(text, userName, isGroup) {
+  const arg = text.replace('/api', '').trim().toLowerCase();
+  const householdId = ctx().id;
+  
+  if (arg === 'neu') {
+    if (isGroup) {
+      return '🔒 API-Tokens gibt es nur im privaten Chat mit mir.';
     }
+    const token = await apiTokens.create(householdId, userName);
+    return `🔑 Dein API-Token (ersetzt den alten, gut aufheben!):
+
+${token}
+
+Beispiel:
+curl -H "Authorization: Bearer ${token}" ${PUBLIC_URL}/api/tasks`;
   }
   
-  // Time filtering - quick tasks for short time
-  if (minutes > 0 && minutes <= 15) {
-    // Prioritize quick tasks
-    const quickTasks = ['geschirrspüler', 'müll', 'aufräumen', 'saugroboter'];
-    suggested = suggested.filter(t => 
-      quickTasks.some(quick => t.task.toLowerCase().includes(quick))
-    );
-  } else if (minutes > 15 && minutes <= 30) {
-    // Medium tasks
-    const mediumTasks = ['saugen', 'bad', 'küche', 'einkaufen'];
-    suggested = suggested.filter(t => 
-      mediumTasks.some(medium => t.task.toLowerCase().includes(medium))
-    );
+  if (arg === 'aus') {
+    const revoked = await apiTokens.revoke(householdId, userName);
+    return revoked > 0 ? '🚫 Dein API-Token ist gelöscht.' : 'Du hast keinen API-Token.';
   }
   
-  // Build response
-  if (suggested.length === 0) {
-    return `Hmm, ich finde keine passenden Aufgaben für ${timeAvailable || ''} ${location || ''}. Hier sind alle deine Aufgaben:\n\n${formatTaskList(tasks)}`;
+  if (arg) {
+    return 'Benutze: /api | neu | aus';
   }
   
-  let response = `💡 Vorschläge für ${timeAvailable || ''} ${location || ''}:\n\n`;
+  return `🔌 API: ${PUBLIC_URL}/api/tasks
+${apiTokens.has(householdId, userName) ? '🔑 Du hast einen API-Token (neu erstellen mit /api neu, löschen mit /api aus).' : '🔑 Noch kein Token - erstellen mit /api neu (im privaten Chat).'}`;
+}
+
+// /web - one-time login link for the web dashboard
+async function handleWebCommand(userName, isGroup) {
+  if (isGroup) {
+    return '🔒 Login-Links gibt es nur im privaten Chat mit mir.';
+  }
+  const token = await webSessions.createLoginLink(ctx().id, userName);
+  return `🌐 Dein Login-Link fürs Web-Dashboard (15 Minuten gültig, nur einmal):
+
+${PUBLIC_URL}/web/login?token=${token}`;
+}
+
+// Answer for users and chats that aren't on the allowlist
+function formatRefusal(userId, chatId) {
+  return `🔒 Entschuldigung, dieser Bot ist privat und nur für seinen Haushalt da.
+
+Falls du dazugehörst, schick einem Admin deine ID: ${userId}` +
+    (String(chatId) !== String(userId) ? ` (Chat: ${chatId})` : '');
+}
+
+// /zugang [erlauben|entfernen <ID>] - manage the allowlist (admins only)
+async function handleAccessCommand(text, msg) {
+  const [, action, id] = text.split(/\s+/);
+  const ownIds = `Deine ID: ${msg.from.id}, Chat-ID: ${msg.chat.id}`;
+  
+  if (!access.isAdmin(msg.from.id)) {
+    return `🔒 Nur Admins können den Zugang verwalten.\n${ownIds}`;
+  }
   
-  suggested.forEach(t => {
-    response += `• ${t.task}`;
-    if (t.person) response += ` (${t.person})`;
-    if (t.location) response += ` @${t.location}`;
-    response += '\n';
-  });
+  if (action === 'erlauben' || action === 'entfernen') {
+    // Without an ID the current chat is meant (e.g. a new group)
+    const target = id || String(msg.chat.id);
+    if (!/^-?\d+$/.test(target)) {
+      return 'Benutze: /zugang erlauben <ID> oder /zugang entfernen <ID>';
+    }
+    if (action === 'erlauben') {
+      await access.allow(target);
+      return `✅ ${target} hat jetzt Zugriff.`;
+    }
+    return await access.remove(target)
+      ? `🚫 ${target} hat keinen Zugriff mehr.`
+      : `❓ ${target} wurde nicht mit /zugang hinzugefügt (Umgebungsvariablen bitte dort ändern).`;
+  }
   
-  if (suggested.length < active.length) {
-    response += `\n(${active.length - suggested.length} weitere Aufgaben vorhanden)`;
+  if (action) {
+    return 'Benutze: /zugang | erlauben [ID] | entfernen <ID>';
   }
   
-  return response;
+  const { admins, env, saved } = access.list();
+  return `🔐 Zugang
+👑 Admins: ${admins.join(', ') || '-'}
+⚙️ Aus der Konfiguration: ${env.join(', ') || '-'}
+➕ Mit /zugang erlaubt: ${saved.join(', ') || '-'}
+${ownIds}`;
+}
+
+// Answer for chats that don't belong to a household yet (MULTI_HOUSEHOLD)
+async function handleOnboarding(text, chatId, from) {
+  const [command, action, ...rest] = text.split(/\s+/);
+  const arg = rest.join(' ').trim();
+  
+  if (command === '/haushalt' && action === 'neu' && arg) {
+    const context = await registry.create(arg, chatId, from.first_name || 'Ich');
+    // Reminders go to the founding chat until changed with /erinnerungen
+    await updateReminderSettings(context.state, { chatId: String(chatId) });
+    return `🏠 Haushalt "${context.name}" angelegt!\n\n` +
+      `Einladungscode: ${context.inviteCode}\n` +
+      `Andere Chats treten bei mit: /haushalt beitreten ${context.inviteCode}\n` +
+      `Mitglieder festlegen mit: /haushalt mitglieder Anna;Ben`;
+  }
+  
+  if (command === '/haushalt' && action === 'beitreten' && arg) {
+    const context = await registry.join(arg, chatId);
+    return context
+      ? `🏠 Willkommen im Haushalt "${context.name}"! Mitglieder: ${context.household.describe()}`
+      : `❓ Kein Haushalt mit dem Code "${arg}" gefunden.`;
+  }
+  
+  return `Hallo! Dieser Chat gehört noch zu keinem Haushalt 🏠
+
+• /haushalt neu <Name> → Neuen Haushalt mit eigener Aufgabenliste anlegen
+• /haushalt beitreten <Code> → Einem bestehenden Haushalt beitreten`;
+}
+
+// Remove everything a household keeps for a chat that left it, so its
+// digests, reminders and buttons don't reach the chat anymore
+async function forgetChat(context, chatId) {
+  const { state } = context;
+  await removeDigestSettings(state, chatId);
+  if (String(getReminderSettings(state).chatId) === String(chatId)) {
+    await updateReminderSettings(state, { chatId: null });
+  }
+  
+  const choices = state.get('pendingChoices', {});
+  const trips = state.get('shoppingTrips', {});
+  delete choices[chatId];
+  delete trips[chatId];
+  await state.set('pendingChoices', choices);
+  await state.set('shoppingTrips', trips);
+  
+  const views = state.get('taskListViews', {});
+  Object.keys(views).filter(key => key.startsWith(`${chatId}:`)).forEach(key => delete views[key]);
+  await state.set('taskListViews', views);
+}
+
+// /haushalt [neu|beitreten|verlassen|mitglieder] - show or manage the chat's household
+async function handleHouseholdCommand(text, chatId, from) {
+  const [, action, ...rest] = text.split(/\s+/);
+  const arg = rest.join(' ').trim();
+  const context = ctx();
+  
+  if (action === 'neu' || action === 'beitreten' || action === 'verlassen') {
+    if (!registry.multi) {
+      return 'Mehrere Haushalte sind nicht aktiviert (MULTI_HOUSEHOLD=true).';
+    }
+    if (action === 'verlassen') {
+      await registry.leave(chatId);
+      await forgetChat(context, chatId);
+      return `👋 Dieser Chat gehört nicht mehr zum Haushalt "${context.name}".`;
+    }
+    const reply = await handleOnboarding(text, chatId, from);
+    // Joining or founding another household leaves this one
+    if (registry.forChat(chatId) !== context) await forgetChat(context, chatId);
+    return reply;
+  }
+  
+  if (action === 'mitglieder' && arg) {
+    if (parseMembers(arg).length === 0) {
+      return 'Benutze: /haushalt mitglieder Anna:Anni;Ben;Kim';
+    }
+    const household = await registry.setMembers(context.id, arg);
+    return `👥 Mitglieder: ${household.describe()} (gemeinsame Aufgaben: ${household.shared})`;
+  }
+  
+  if (action === 'zeitzone' && arg) {
+    if (!isValidTimeZone(arg)) {
+      return `❓ Unbekannte Zeitzone "${arg}". Beispiel: /haushalt zeitzone Europe/Berlin`;
+    }
+    await registry.setTimezone(context.id, arg);
+    return `🕐 Zeitzone: ${arg} (heute ist der ${householdToday()})`;
+  }
+  
+  if (action) {
+    return 'Benutze: /haushalt | neu <Name> | beitreten <Code> | verlassen | mitglieder <Name;Name> | zeitzone <Zone>';
+  }
+  
+  return `🏠 Haushalt "${context.name}"
+👥 Mitglieder: ${context.household.describe()} (gemeinsame Aufgaben: ${context.household.shared})
+🕐 Zeitzone: ${context.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone}
+📊 Speicher: ${context.store ? context.store.description : 'nicht konfiguriert'}` +
+    (registry.multi ? `\n🔑 Einladungscode: ${context.inviteCode}` : '');
+}
+
+// Transcribe a voice message and echo what was understood; null on failure
+// (the user already got an answer then)
+async function transcribeVoice(msg) {
+  const chatId = msg.chat.id;
+  if (!transcriber) {
+    await bot.sendMessage(chatId, '🎤 Sprachnachrichten sind nicht eingerichtet - bitte schreib mir.');
+    return null;
+  }
+  if (msg.voice.duration > MAX_VOICE_SECONDS) {
+    await bot.sendMessage(chatId, `🎤 Die Sprachnachricht ist zu lang (max. ${MAX_VOICE_SECONDS} Sekunden).`);
+    return null;
+  }
+  
+  // Own directory per message, so files a transcription command creates next
+  // to the audio are removed too
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-'));
+  try {
+    const filePath = await bot.downloadFile(msg.voice.file_id, dir);
+    const text = (await transcriber.transcribe(filePath)).trim();
+    debugLog('VOICE', `${msg.voice.duration}s → ${text}`);
+    if (!text) {
+      await bot.sendMessage(chatId, '🎤 Ich habe leider nichts verstanden.');
+      return null;
+    }
+    await bot.sendMessage(chatId, `🎤 "${text}"`);
+    return text;
+  } catch (error) {
+    console.error('Transcription error:', error);
+    await bot.sendMessage(chatId, `❌ Sprachnachricht nicht verstanden: ${error.message}`);
+    return null;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
 }
 
 // Message handler
 bot.on('message', async (msg) => {
   const chatId = msg.chat.id;
-  const text = msg.text?.trim();
-  if (!text) return;
+  let text = msg.text?.trim();
+  if (!text && !msg.voice) return;
   
-  const userName = msg.from.first_name || 'User';
   const isGroup = msg.chat.type !== 'private';
   
-  debugLog('MESSAGE', `From ${userName} in ${isGroup ? 'group' : 'private'}: ${text}`);
-  
   try {
-    // Check if sheets is available
-    if (!sheets) {
-      await bot.sendMessage(chatId, '❌ Google Sheets ist nicht konfiguriert. Bitte überprüfe die Umgebungsvariablen.');
+    // Unknown users get a polite refusal - before any task is read
+    if (!access.isAllowed(msg.from.id, chatId)) {
+      debugLog('ACCESS', `Refused user ${msg.from.id} in chat ${chatId}`);
+      await bot.sendMessage(chatId, formatRefusal(msg.from.id, chatId));
       return;
     }
     
-    // Remove duplicates first
-    const duplicatesRemoved = await removeDuplicates();
-    if (duplicatesRemoved > 0) {
-      debugLog('CLEANUP', `Removed ${duplicatesRemoved} duplicate tasks`);
+    // Voice messages continue as if the transcript had been typed
+    if (!text) {
+      text = await transcribeVoice(msg);
+      if (!text) return;
     }
     
-    // Get current tasks
-    const tasks = await getAllTasks();
+    if (text.startsWith('/zugang')) {
+      await bot.sendMessage(chatId, await handleAccessCommand(text, msg));
+      return;
+    }
     
-    // Commands
-    if (text === '/start' || text === '/help') {
-      await bot.sendMessage(chatId, 
-`Hallo! Ich bin euer Aufgaben-Bot 🤖
+    // Chats without a household can only create or join one
+    const context = registry.forChat(chatId);
+    if (!context) {
+      await bot.sendMessage(chatId, await handleOnboarding(text, chatId, msg.from));
+      return;
+    }
+    
+    await runInHousehold(context, async () => {
+      const userName = resolveUserName(msg.from);
+      debugLog('MESSAGE', `[${context.name}] From ${userName} in ${isGroup ? 'group' : 'private'}: ${text}`);
+        
+      // Check if task storage is available
+      if (!ctx().store) {
+        await bot.sendMessage(chatId, '❌ Kein Aufgabenspeicher konfiguriert. Bitte überprüfe die Umgebungsvariablen (TASK_STORE, GOOGLE_CREDENTIALS).');
+        return;
+      }
+      
+      // Remove duplicates first
+      const duplicatesRemoved = await removeDuplicates();
+      if (duplicatesRemoved > 0) {
+        debugLog('CLEANUP', `Removed ${duplicatesRemoved} duplicate tasks`);
+      }
+      
+      // Get current tasks
+      const tasks = await getAllTasks();
+      
+      // Commands
+      if (text === '/start' || text === '/help') {
+        // Swapping turns needs someone to swap with
+        const partner = ctx().household.names.find(name => name !== userName);
+        const swapHelp = partner ? `\n• "Tausch mit ${partner}" → Wer dran ist tauschen` : '';
+        await bot.sendMessage(chatId, 
+  `Hallo! Ich bin euer Aufgaben-Bot 🤖
 
-Alle Aufgaben sind standardmäßig für BEIDE!
+Alle Aufgaben sind standardmäßig für ${sharedPerson().toUpperCase()}!
 
 Ich verstehe:
 • "Müll rausbringen" → Gemeinsame Aufgabe
@@ -1114,126 +2386,226 @@ Ich verstehe:
 • "Ich muss zum Arzt" → Nur für dich
 • "Was muss ich machen?" → Deine + gemeinsame Aufgaben
 • "Was sind NUR meine Aufgaben?" → Nur deine persönlichen
-• "Bin bei DM, was brauch ich?" → Nur DM-Aufgaben
+• "2x Hafermilch", "500g Mehl" → Einkauf mit Menge
+• /einkauf → Einkaufsliste nach Läden
+• /stats [woche|monat|alles] → Wer hat wie viel erledigt?
+• "Jeden Montag Müll rausbringen abwechselnd" → Reihum, mit Ansage wer dran ist${swapHelp}
+• "Ich bin bei Edeka" → Edeka-Einkauf zum Abhaken
+• "Füge zu Party hinzu: Kuchen, Deko" → Checkliste mit einzelnen Schritten
+• "Jeden Montag Müll rausbringen" → Wiederkehrende Aufgabe
+• "Ich hab 20 Minuten, was kann ich machen?" → Passende Vorschläge
+• "Steuer ist dringend" → Priorität ändern
 • "Müll ist erledigt" → Aufgabe abhaken
-• "Rückgängig" → Letzte Aktion rückgängig
+• "Rückgängig" → Letzte Aktion rückgängig (auch mehrfach)
+• "Wiederholen" → Rückgängig gemachte Aktion wiederholen
+• /ichbin <Name> → Deinen Telegram-Account mit deinem Namen verknüpfen
+• /haushalt → Haushalt, Mitglieder und Einladungscode
+• /web → Login-Link fürs Web-Dashboard
+• /api → Zugang für Kurzbefehle und Skripte
+${transcriber ? '• 🎤 Sprachnachrichten → wie getippt ("Milch ist erledigt")\n' : ''}• /erinnerungen hier → Erinnerungen an fällige Aufgaben in diesem Chat
+• /digest an → Tägliche Übersicht am Morgen (/digest woche an → Wochenrückblick)
 
-📊 Sheet: ${process.env.GOOGLE_SHEET_URL || 'Nicht konfiguriert'}
+📊 Speicher: ${ctx().store.description}
+🤖 KI: ${llm ? llm.description : 'aus (Regeln ohne KI)'}
 ${DEBUG_MODE ? '\n🔍 Debug-Modus ist aktiviert' : ''}`);
-      return;
-    }
-    
-    if (text === '/debug') {
-      const newDebugMode = !DEBUG_MODE;
-      process.env.DEBUG_MODE = newDebugMode.toString();
-      await bot.sendMessage(chatId, `🔍 Debug-Modus ist jetzt ${newDebugMode ? 'AN' : 'AUS'}`);
-      return;
-    }
-    
-    // Try enhanced AI with reasoning if available
-    if (openai) {
-      let cleanText = text;
-      if (isGroup) {
-        const botUsername = (await bot.getMe()).username;
-        cleanText = text.replace(`@${botUsername}`, '').trim();
+        return;
       }
       
-      // Use enhanced handler with planning
-      const aiResponse = await handleAIWithReasoning(cleanText, tasks, userName, isGroup);
-      if (aiResponse) {
-        await bot.sendMessage(chatId, aiResponse);
+      if (text.startsWith('/haushalt')) {
+        await bot.sendMessage(chatId, await handleHouseholdCommand(text, chatId, msg.from));
+        return;
+      }
+      
+      if (text === '/web') {
+        await bot.sendMessage(chatId, await handleWebCommand(userName, isGroup), { disable_web_page_preview: true });
+        return;
+      }
+      
+      if (text.startsWith('/api')) {
+        await bot.sendMessage(chatId, await handleApiCommand(text, userName, isGroup));
+        return;
+      }
+      
+      if (text.startsWith('/ichbin')) {
+        await bot.sendMessage(chatId, await handleLinkCommand(text, msg.from));
+        return;
+      }
+      
+      if (text.startsWith('/digest')) {
+        await bot.sendMessage(chatId, await handleDigestCommand(text, chatId, userName, isGroup));
         return;
       }
-    }
-    
-    // Fallback patterns if AI fails or is not available
-    if (text.match(/aufgabe|liste|zeige|was muss|was brauch|was gibt/i)) {
-      // Check for "nur" (only) keyword for exclusive personal tasks
-      const excludeShared = text.match(/\b(nur|only|ausschließlich)\b/i) !== null;
       
-      // Check for location queries
-      const locationMatch = text.match(/bei\s+(\w+)|@(\w+)/i);
-      let filterLocation = null;
+      if (text.startsWith('/stats') || text.startsWith('/statistik')) {
+        await bot.sendMessage(chatId, formatStats(tasks, text.replace(/^\/\S+/, '').trim() || null));
+        return;
+      }
       
-      if (locationMatch) {
-        filterLocation = locationMatch[1] || locationMatch[2];
+      if (text.startsWith('/einkauf')) {
+        await sendReply(chatId, await handleShoppingCommand(text, chatId, tasks));
+        return;
       }
       
-      // Check if asking for specific person's tasks
-      const personMatch = text.match(/(moana|jeremy|ich|meine|beide|gemeinsam)/i);
-      let filterPerson = null;
+      if (text.startsWith('/erinnerungen')) {
+        await bot.sendMessage(chatId, await handleReminderCommand(text, chatId));
+        return;
+      }
       
-      if (personMatch && !locationMatch) { // Only filter by person if not filtering by location
-        const person = personMatch[1].toLowerCase();
-        if (person === 'ich' || person === 'meine') {
-          filterPerson = userName;
-        } else if (person === 'beide' || person === 'gemeinsam') {
-          filterPerson = SHARED_PERSON_VALUE;
-        } else {
-          filterPerson = person.charAt(0).toUpperCase() + person.slice(1);
+      if (text === '/debug') {
+        const newDebugMode = !DEBUG_MODE;
+        process.env.DEBUG_MODE = newDebugMode.toString();
+        await bot.sendMessage(chatId, `🔍 Debug-Modus ist jetzt ${newDebugMode ? 'AN' : 'AUS'}`);
+        return;
+      }
+      
+      // Answer to a "Welche Aufgabe?" question
+      if (/^\d+$/.test(text) && getPendingChoice(chatId)) {
+        const result = await resolvePendingChoice(chatId, parseInt(text, 10) - 1, userName);
+        if (result) {
+          await bot.sendMessage(chatId, result);
+          return;
         }
       }
       
-      await bot.sendMessage(chatId, formatTaskList(tasks, filterPerson, filterLocation, excludeShared));
-      return;
-    }
-    
-    if (text.match(/erledigt|fertig|done/i)) {
-      const taskName = text.replace(/erledigt|fertig|done/gi, '').trim();
-      if (taskName) {
-        const completed = await completeTask(taskName);
-        if (completed) {
-          await bot.sendMessage(chatId, `✅ "${completed}" erledigt!`);
-        } else {
-          await bot.sendMessage(chatId, `Nicht gefunden: "${taskName}"`);
+      let cleanText = text;
+      if (isGroup) {
+        const botUsername = (await bot.getMe()).username;
+        cleanText = text.replace(`@${botUsername}`, '').trim();
+      }
+      
+      // Try enhanced AI with reasoning if available
+      if (llm) {
+        // Use enhanced handler with planning
+        const aiResponse = await handleAIWithReasoning(cleanText, tasks, userName, isGroup);
+        if (aiResponse) {
+          await sendReply(chatId, aiResponse);
+          return;
         }
       }
-      return;
-    }
-    
-    if (text.match(/rückgängig|undo|falsch/i)) {
-      const result = await undoLastAction();
-      await bot.sendMessage(chatId, result);
-      return;
-    }
-    
-    // Default message
-    await bot.sendMessage(chatId, 
-`Ich verstehe "${text}" nicht. 
+      
+      // Rule-based parser if AI fails or is not available
+      const intent = parseIntent(cleanText, { household: ctx().household, userName });
+      if (intent) {
+        debugLog('INTENT', `${intent.rule} → ${intent.name}`, intent.args);
+        const reply = await executeToolCall(intent.name, intent.args, tasks, userName);
+        if (reply) {
+          await sendReply(chatId, reply);
+          return;
+        }
+      }
+      
+      // Default message
+      await bot.sendMessage(chatId, 
+  `Ich verstehe "${text}" nicht. 
 
-Denk dran: Alle Aufgaben sind standardmäßig für beide!
+Denk dran: Alle Aufgaben sind standardmäßig für ${sharedPerson().toLowerCase()}!
 
 Versuch:
 • "Müll rausbringen" → Gemeinsame Aufgabe
 • "Ich muss zum Arzt" → Nur für dich
-• "Bin bei DM" → Zeigt DM-Aufgaben
+• "Edeka - Milch, Eier" → Einkaufsliste für Edeka
+• "Ändere Milch zu Hafermilch" → Aufgabe ändern
+• "Ich bin bei DM" → DM-Einkauf zum Abhaken
+• "Ich hab 20 Minuten" → Was passt in die Zeit?
 • "Zeige Aufgaben" → Alle Aufgaben
 • "Milch erledigt" → Aufgabe abhaken`);
-    
+    });
   } catch (error) {
     console.error('Error:', error);
     await bot.sendMessage(chatId, `❌ Fehler: ${error.message}`);
   }
 });
 
+// Inline button handler - acts on the exact task and updates the list message
+bot.on('callback_query', async (query) => {
+  const [action, value] = (query.data || '').split(':');
+  const message = query.message;
+  
+  try {
+    if (!message || !access.isAllowed(query.from.id, message.chat.id)) {
+      await bot.answerCallbackQuery(query.id, { text: '🔒 Du hast leider keinen Zugriff auf diesen Bot.' });
+      return;
+    }
+    
+    const context = registry.forChat(message.chat.id);
+    if (!context) {
+      await bot.answerCallbackQuery(query.id, { text: 'Dieser Chat gehört zu keinem Haushalt.' });
+      return;
+    }
+    
+    await runInHousehold(context, async () => {
+      const userName = resolveUserName(query.from);
+      debugLog('BUTTON', `[${context.name}] ${action} ${value} from ${userName}`);
+      
+      if (!ctx().store) {
+        await bot.answerCallbackQuery(query.id, { text: '❌ Kein Aufgabenspeicher konfiguriert' });
+        return;
+      }
+      
+      // Answer to a "Welche Aufgabe?" question
+      if (action === 'pick') {
+        const result = await resolvePendingChoice(message.chat.id, parseInt(value, 10), userName, message.message_id)
+          || 'Diese Auswahl ist abgelaufen.';
+        await bot.answerCallbackQuery(query.id, { text: buttonToast(result) });
+        await bot.editMessageText(result, {
+          chat_id: message.chat.id,
+          message_id: message.message_id,
+          reply_markup: { inline_keyboard: [] }
+        });
+        return;
+      }
+      
+      // Check-off buttons of a shopping trip
+      if (action === 'buy' || action === 'trip') {
+        const { result, reply } = await handleShoppingButton(message.chat.id, message.message_id, action, value, userName);
+        await bot.answerCallbackQuery(query.id, { text: buttonToast(result) });
+        if (reply) {
+          await bot.editMessageText(replyText(reply), {
+            chat_id: message.chat.id,
+            message_id: message.message_id,
+            reply_markup: typeof reply === 'string' ? { inline_keyboard: [] } : reply.options.reply_markup
+          });
+        }
+        return;
+      }
+      
+      const result = await handleTaskButton(action, value, userName);
+      await bot.answerCallbackQuery(query.id, { text: buttonToast(result) });
+      
+      if (message) {
+        const view = getTaskListView(message.chat.id, message.message_id);
+        const reply = formatTaskListReply(await getAllTasks(), view.person, view.location, view.excludeShared);
+        await bot.editMessageText(`${replyText(reply)}\n\n${result}`, {
+          chat_id: message.chat.id,
+          message_id: message.message_id,
+          reply_markup: typeof reply === 'string' ? { inline_keyboard: [] } : reply.options.reply_markup
+        });
+      }
+    });
+  } catch (error) {
+    console.error('Button error:', error);
+    await bot.answerCallbackQuery(query.id, { text: buttonToast(`❌ Fehler: ${error.message}`) }).catch(() => {});
+  }
+});
+
 // Error handler for bot
 bot.on('polling_error', (error) => {
   console.error('Polling error:', error);
 });
 
-// Start server
-const server = app.listen(PORT, '0.0.0.0', () => {
+// Start server (not in the simulator - no webhook, no HTTP)
+const server = SIMULATOR ? null : app.listen(PORT, '0.0.0.0', () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Debug mode: ${DEBUG_MODE ? 'ON' : 'OFF'}`);
   
   // Set webhook after server is listening
   setTimeout(async () => {
     try {
-      const webhookUrl = process.env.WEBHOOK_URL || `https://${process.env.RAILWAY_STATIC_URL || 'localhost'}/webhook`;
+      const webhookUrl = process.env.WEBHOOK_URL || `${PUBLIC_URL}/webhook`;
       
       console.log('Setting webhook to:', webhookUrl);
       await bot.deleteWebHook();
-      const result = await bot.setWebHook(webhookUrl);
+      const result = await bot.setWebHook(webhookUrl, WEBHOOK_SECRET ? { secret_token: WEBHOOK_SECRET } : {});
       console.log('✅ Webhook set:', result);
       
       const info = await bot.getWebHookInfo();
@@ -1250,6 +2622,7 @@ const server = app.listen(PORT, '0.0.0.0', () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received - shutting down gracefully');
+  if (!server) process.exit(0);
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
@@ -1258,6 +2631,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT received - shutting down gracefully');
+  if (!server) process.exit(0);
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
@@ -1274,16 +2648,59 @@ process.on('unhandledRejection', (error) => {
   console.error('Unhandled Rejection:', error);
 });
 
+// Due-date reminders and digests of one household (needs the store to throw on
+// errors, so a failed read isn't mistaken for "all tasks done"). The simulator
+// doesn't run them, so nothing is sent in between.
+function startHouseholdSchedulers(context) {
+  if (!context.store || SIMULATOR) return;
+  const send = (chatId, text) => bot.sendMessage(chatId, text);
+  const inHousehold = fn => (...args) => runInHousehold(context, () => fn(...args));
+  
+  const clock = () => nowIn(context.timezone);
+  
+  startReminderScheduler({
+    getTasks: () => context.store.getAll(),
+    send,
+    state: context.state,
+    clock
+  });
+  
+  startDigestScheduler({
+    getTasks: () => context.store.getAll(),
+    send,
+    state: context.state,
+    clock,
+    formatDigest: inHousehold(formatDigest),
+    formatWeeklyReview: inHousehold(formatWeeklyReview)
+  });
+}
+
+if (access.isOpen()) {
+  console.log('⚠️  No ALLOWED_USERS / ADMIN_USERS - everybody can use the bot');
+}
+if (!WEBHOOK_SECRET) {
+  console.log('⚠️  No TELEGRAM_WEBHOOK_SECRET - webhook requests are not verified');
+}
+
+// Load all households and start their schedulers
+const households = registry.all();
+console.log(`🏠 ${households.length} Haushalt(e), Einladungscode Standardhaushalt: ${households[0].inviteCode}`);
+
 // Heartbeat with more info
-setInterval(() => {
-  const stats = {
-    uptime: Math.floor(process.uptime() / 60),
-    memory: Math.floor(process.memoryUsage().heapUsed / 1024 / 1024),
-    sheets: sheets ? 'Connected' : 'Not connected',
-    ai: openai ? 'Connected' : 'Not connected',
-    debug: DEBUG_MODE
-  };
-  console.log(`💓 Bot alive - Uptime: ${stats.uptime}m, Memory: ${stats.memory}MB, Services: Sheets ${stats.sheets}, AI ${stats.ai}, Debug: ${stats.debug}`);
-}, 30000);
+if (!SIMULATOR) {
+  setInterval(() => {
+    const stats = {
+      uptime: Math.floor(process.uptime() / 60),
+      memory: Math.floor(process.memoryUsage().heapUsed / 1024 / 1024),
+      households: registry.all().length,
+      ai: llm ? llm.name : 'Not connected',
+      debug: DEBUG_MODE
+    };
+    console.log(`💓 Bot alive - Uptime: ${stats.uptime}m, Memory: ${stats.memory}MB, Services: Households ${stats.households}, AI ${stats.ai}, Debug: ${stats.debug}`);
+  }, 30000);
+}
+
+console.log('Starting enhanced bot with planning and reasoning...');
 
-console.log('Starting enhanced bot with planning and reasoning...');
\ No newline at end of file
+// For the simulator (simulate.js) and the intent evaluation (evals/run-intents.js)
+module.exports = { bot, registry, understand };
@@ -0,0 +1,182 @@
+// run-intents.js - Replay the golden utterances and report accuracy per rule
+//
+//   npm run eval:intents                          # model from .env / LLM_*
+//   npm run eval:intents -- --record rec.json     # ... and save its answers
+//   npm run eval:intents -- --replay rec.json     # recorded answers, offline
+//   npm run eval:intents -- --rules               # rule-based parser only
+//
+// Each case in intents.json names the rule of the system prompt it checks, an
+// utterance and the expected tool call. Only the expected arguments are
+// compared (extra arguments are fine):
+// - strings ignore case; "a|b" accepts either
+// - person/assignedTo compare household members (aliases, "ich", "Beide");
+//   a missing assignedTo counts as shared
+// - when and recurrence compare the parsed date/rule ("morgen" = "2026-10-20"),
+//   time and duration the minutes ("eine Stunde" = 60), rotation the members
+//   taking turns ("abwechselnd" = "Moana, Jeremy")
+// - null means missing or empty, false means missing or false
+// - { "name": null } expects no tool call at all
+// Tool calls are never run - the tasks in the dataset only feed the prompt.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PERSON_KEYS = ['person', 'assignedTo'];
+
+function parseArgs(argv) {
+  const options = { dataset: path.join(__dirname, 'intents.json'), rules: false, record: null, replay: null, rule: null, min: 0, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--rules') options.rules = true;
+    else if (arg === '--record') options.record = argv[++i];
+    else if (arg === '--replay') options.replay = argv[++i];
+    else if (arg === '--dataset') options.dataset = argv[++i];
+    else if (arg === '--rule') options.rule = argv[++i];
+    else if (arg === '--min') options.min = parseFloat(argv[++i]);
+    else if (arg === '--verbose') options.verbose = true;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+const dataset = JSON.parse(fs.readFileSync(path.resolve(options.dataset), 'utf8'));
+const cases = dataset.cases.filter(testCase => !options.rule || testCase.rule === options.rule);
+
+// The bot runs like in the simulator, with a throwaway store and no access list
+process.env.BOT_SIMULATOR = 'true';
+process.env.TASK_STORE = 'file';
+process.env.TASK_STORE_PATH = path.join(os.tmpdir(), `intent-eval-${process.pid}`, 'tasks.json');
+process.env.STATE_PATH = path.join(os.tmpdir(), `intent-eval-${process.pid}`, 'state.json');
+process.env.HOUSEHOLD_MEMBERS = dataset.household;
+process.env.MULTI_HOUSEHOLD = 'false';
+['ALLOWED_USERS', 'ALLOWED_CHATS', 'ADMIN_USERS', 'HOUSEHOLD_SHARED_LABEL'].forEach(name => { process.env[name] = ''; });
+if (options.rules) process.env.LLM_PROVIDER = 'none';
+if (options.replay) {
+  process.env.LLM_PROVIDER = 'mock';
+  process.env.LLM_MOCK_SCRIPT = path.resolve(options.replay);
+}
+if (options.record) process.env.LLM_RECORD = path.resolve(options.record);
+
+const log = console.log;
+if (!options.verbose) {
+  console.log = () => {};
+  console.error = () => {};
+}
+
+const { registry, understand } = require('../bot');
+const { runInHousehold } = require('../lib/households');
+const { loadHousehold } = require('../lib/household');
+const { parseIntent } = require('../lib/intents');
+const { parseWhen } = require('../lib/when');
+const { parseRecurrence } = require('../lib/recurrence');
+const { parseDuration } = require('../lib/suggestions');
+const { parseRotation } = require('../lib/rotation');
+
+const household = loadHousehold();
+// Relative dates are compared against one fixed day
+const NOW = new Date();
+
+function normalizePerson(value, key, userName) {
+  const word = String(value || '').trim().toLowerCase();
+  if (!word) return key === 'assignedTo' ? household.shared : '';
+  if (['ich', 'mich', 'mir', 'meine', 'me', 'my'].includes(word)) return userName;
+  if (household.isShared(word)) return household.shared;
+  return household.resolveName(word) || word;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function sameWhen(expected, actual) {
+  const a = parseWhen(String(expected).toLowerCase(), NOW);
+  const b = parseWhen(String(actual || '').toLowerCase(), NOW);
+  if (a && b) return a.date === b.date && a.time === b.time;
+  return String(expected).toLowerCase() === String(actual || '').toLowerCase();
+}
+
+function matches(expected, actual, key, userName) {
+  if (expected === null) return isEmpty(actual);
+  if (expected === false) return !actual;
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) && actual.length === expected.length &&
+      expected.every((item, index) => matches(item, actual[index], key, userName));
+  }
+  if (typeof expected === 'object') {
+    return Boolean(actual) && typeof actual === 'object' &&
+      Object.keys(expected).every(name => matches(expected[name], actual[name], name, userName));
+  }
+  if (key === 'recurrence') return parseRecurrence(expected) === parseRecurrence(actual);
+  if (key === 'when') return sameWhen(expected, actual);
+  if (key === 'time' || key === 'duration') return parseDuration(expected) === parseDuration(actual);
+  if (key === 'rotation') return parseRotation(expected, household) === parseRotation(actual, household);
+  if (PERSON_KEYS.includes(key)) return normalizePerson(expected, key, userName) === normalizePerson(actual, key, userName);
+  const value = String(actual === undefined || actual === null ? '' : actual).trim().toLowerCase();
+  return String(expected).split('|').some(option => option.trim().toLowerCase() === value);
+}
+
+// First tool call for the utterance: { name, args } or { name: null }
+async function decide(text, userName) {
+  if (options.rules) {
+    const intent = parseIntent(text, { household, userName });
+    return intent ? { name: intent.name, args: intent.args } : { name: null };
+  }
+  const result = await runInHousehold(registry.all()[0], () => understand(text, dataset.tasks, userName));
+  if (!result) throw new Error('No language model configured - set LLM_PROVIDER or use --rules / --replay');
+  return result.toolCalls[0] || { name: null, content: result.content };
+}
+
+function describe(call) {
+  if (!call.name) return call.content ? `no tool call ("${call.content.slice(0, 60)}")` : 'no tool call';
+  return `${call.name} ${JSON.stringify(call.args || {})}`;
+}
+
+async function main() {
+  const results = [];
+  for (const testCase of cases) {
+    const userName = testCase.user || dataset.user;
+    let actual;
+    try {
+      actual = await decide(testCase.text, userName);
+    } catch (error) {
+      if (/No language model/.test(error.message)) throw error;
+      actual = { name: null, error: error.message };
+    }
+    const expected = testCase.expect;
+    const passed = !actual.error &&
+      (expected.name === null ? actual.name === null : actual.name === expected.name && matches(expected.args || {}, actual.args || {}, null, userName));
+    results.push({ testCase, actual, passed });
+  }
+
+  const mode = options.rules ? 'rule-based parser' : options.replay ? `replay of ${options.replay}` : 'language model';
+  log(`Intent evaluation - ${results.length} utterances, ${mode}\n`);
+
+  const rules = [...new Set(results.map(result => result.testCase.rule))];
+  rules.forEach(rule => {
+    const ofRule = results.filter(result => result.testCase.rule === rule);
+    const passed = ofRule.filter(result => result.passed).length;
+    log(`  ${rule.padEnd(20)} ${`${passed}/${ofRule.length}`.padStart(6)}  ${String(Math.round(passed / ofRule.length * 100)).padStart(3)}%`);
+  });
+  const passed = results.filter(result => result.passed).length;
+  const accuracy = results.length > 0 ? passed / results.length : 1;
+  log(`  ${'total'.padEnd(20)} ${`${passed}/${results.length}`.padStart(6)}  ${String(Math.round(accuracy * 100)).padStart(3)}%`);
+
+  const failures = results.filter(result => !result.passed);
+  if (failures.length > 0) {
+    log('\nFailures:');
+    failures.forEach(({ testCase, actual }) => {
+      log(`  [${testCase.rule}] "${testCase.text}"`);
+      log(`    expected ${describe(testCase.expect)}`);
+      log(`    got      ${actual.error ? `error: ${actual.error}` : describe(actual)}`);
+    });
+  }
+
+  fs.rmSync(path.dirname(process.env.TASK_STORE_PATH), { recursive: true, force: true });
+  process.exit(accuracy < options.min ? 1 : 0);
+}
+
+main().catch(error => {
+  log(`❌ ${error.message}`);
+  process.exit(2);
+});
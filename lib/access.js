@@ -0,0 +1,77 @@
+// access.js - Who may use the bot, and webhook verification
+//
+// Users and chats are allowed by Telegram ID: from the environment
+// (ALLOWED_USERS, ALLOWED_CHATS, ADMIN_USERS - comma-separated) or added by an
+// admin with /zugang (saved in state). Group chat IDs are negative, so one
+// list of IDs covers both. Without any configured IDs the bot stays open.
+const crypto = require('crypto');
+
+function parseIds(value) {
+  return (value || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(id => /^-?\d+$/.test(id));
+}
+
+function createAccessControl(state) {
+  const admins = parseIds(process.env.ADMIN_USERS);
+  const envIds = [...parseIds(process.env.ALLOWED_USERS), ...parseIds(process.env.ALLOWED_CHATS)];
+
+  function savedIds() {
+    return state.get('allowedIds', []);
+  }
+
+  function allowedIds() {
+    return [...new Set([...admins, ...envIds, ...savedIds()])];
+  }
+
+  return {
+    isOpen() {
+      return allowedIds().length === 0;
+    },
+
+    isAdmin(userId) {
+      return admins.includes(String(userId));
+    },
+
+    // A message is allowed if its sender or its chat is on the list
+    isAllowed(userId, chatId) {
+      if (this.isOpen()) return true;
+      const ids = allowedIds();
+      return ids.includes(String(userId)) || ids.includes(String(chatId));
+    },
+
+    async allow(id) {
+      const ids = savedIds();
+      if (!ids.includes(String(id))) {
+        await state.set('allowedIds', [...ids, String(id)]);
+      }
+    },
+
+    // Only IDs added with /zugang can be removed; the environment always wins
+    async remove(id) {
+      const ids = savedIds();
+      if (!ids.includes(String(id))) return false;
+      await state.set('allowedIds', ids.filter(saved => saved !== String(id)));
+      return true;
+    },
+
+    list() {
+      return { admins, env: envIds, saved: savedIds() };
+    }
+  };
+}
+
+// Compare the X-Telegram-Bot-Api-Secret-Token header with the configured secret
+function verifyWebhookSecret(header, secret) {
+  if (!secret) return true;
+  const expected = Buffer.from(secret);
+  const actual = Buffer.from(header || '');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = {
+  parseIds,
+  createAccessControl,
+  verifyWebhookSecret
+};
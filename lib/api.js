@@ -0,0 +1,187 @@
+// api.js - JSON API for the task list (iOS Shortcuts, dashboards, scripts)
+//
+// Every request needs "Authorization: Bearer <token>". The token decides the
+// household: API_TOKEN belongs to the default household, further tokens are
+// created per household with /api in the chat. Only SHA-256 hashes of the
+// tokens are stored.
+const express = require('express');
+const crypto = require('crypto');
+const { DEFAULT_HOUSEHOLD_ID, runInHousehold, currentHousehold } = require('./households');
+
+const STATUS_FILTERS = ['open', 'done', 'all'];
+const TASK_FIELDS = ['task', 'person', 'location', 'when', 'category', 'recurrence', 'quantity', 'unit', 'duration', 'priority', 'rotation'];
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Constant-time comparison; the hashes have the same length whatever the tokens
+function sameToken(a, b) {
+  return crypto.timingSafeEqual(Buffer.from(hashToken(a), 'hex'), Buffer.from(hashToken(b), 'hex'));
+}
+
+function withoutTokensOf(tokens, householdId, user) {
+  const remaining = {};
+  Object.entries(tokens).forEach(([hash, entry]) => {
+    if (entry.householdId !== householdId || entry.user !== user) remaining[hash] = entry;
+  });
+  return remaining;
+}
+
+// API tokens, saved in the global state as { hash: { householdId, user, createdAt } }
+function createApiTokens(state) {
+  function load() {
+    return state.get('apiTokens', {});
+  }
+
+  return {
+    // New token for a household member; replaces their previous one
+    async create(householdId, user) {
+      const token = crypto.randomBytes(24).toString('base64url');
+      const tokens = withoutTokensOf(load(), householdId, user);
+      tokens[hashToken(token)] = { householdId, user, createdAt: new Date().toISOString() };
+      await state.set('apiTokens', tokens);
+      return token;
+    },
+
+    async revoke(householdId, user) {
+      const tokens = load();
+      const remaining = withoutTokensOf(tokens, householdId, user);
+      await state.set('apiTokens', remaining);
+      return Object.keys(tokens).length - Object.keys(remaining).length;
+    },
+
+    has(householdId, user) {
+      return Object.values(load()).some(entry => entry.householdId === householdId && entry.user === user);
+    },
+
+    find(token) {
+      if (!token) return null;
+      if (process.env.API_TOKEN && sameToken(token, process.env.API_TOKEN)) {
+        return { householdId: DEFAULT_HOUSEHOLD_ID, user: null };
+      }
+      return load()[hashToken(token)] || null;
+    }
+  };
+}
+
+// Only the known task fields, as strings
+function pickTaskInput(body) {
+  const input = {};
+  TASK_FIELDS.forEach(field => {
+    if (body[field] !== undefined && body[field] !== null) input[field] = String(body[field]);
+  });
+  return input;
+}
+
+// actions: the bot's task functions (listTasks, addTasks, updateFoundTask,
+// completeFoundTask, deleteFoundTask, undoLastAction)
+function createApiRouter({ registry, tokens, actions }) {
+  const router = express.Router();
+
+  // Authenticate and pick the household of the token
+  router.use((req, res, next) => {
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+    const entry = tokens.find(match ? match[1].trim() : null);
+    const household = entry && registry.all().find(context => context.id === entry.householdId);
+    if (!household) {
+      return res.status(401).json({ error: 'Ungültiger oder fehlender API-Token' });
+    }
+    if (!household.store) {
+      return res.status(503).json({ error: 'Kein Aufgabenspeicher konfiguriert' });
+    }
+    req.household = household;
+    req.apiUser = entry.user;
+    next();
+  });
+
+  // Run a route in the token's household; store errors become 500
+  const handle = fn => async (req, res) => {
+    try {
+      await runInHousehold(req.household, () => fn(req, res));
+    } catch (error) {
+      console.error('API error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  };
+
+  // Task by ID (404 if unknown)
+  async function findTask(req, res) {
+    const task = (await currentHousehold().store.getAll()).find(t => t.id === req.params.id);
+    if (!task) {
+      res.status(404).json({ error: 'Aufgabe nicht gefunden' });
+      return null;
+    }
+    return task;
+  }
+
+  router.get('/tasks', handle(async (req, res) => {
+    const status = req.query.status || 'open';
+    if (!STATUS_FILTERS.includes(status)) {
+      return res.status(400).json({ error: `status muss ${STATUS_FILTERS.join(', ')} sein` });
+    }
+    const tasks = await actions.listTasks({
+      person: req.query.person || null,
+      location: req.query.location || null,
+      status,
+      onlyPersonal: req.query.onlyPersonal === 'true'
+    });
+    res.json({ tasks });
+  }));
+
+  // One task ({ task, person, ... }) or several ({ tasks: [...] })
+  router.post('/tasks', handle(async (req, res) => {
+    const inputs = (Array.isArray(req.body.tasks) ? req.body.tasks : [req.body]).map(pickTaskInput);
+    if (inputs.length === 0 || inputs.some(input => !input.task || !input.task.trim())) {
+      return res.status(400).json({ error: 'Jede Aufgabe braucht ein Feld "task"' });
+    }
+
+    const result = await actions.addTasks(
+      inputs.map(({ person, ...input }) => ({ ...input, assignedTo: person })),
+      req.apiUser
+    );
+    if (result.added.length === 0 && result.merged.length === 0) {
+      return res.status(409).json({ error: 'Aufgabe existiert bereits' });
+    }
+    // Shopping items already on the list come back in `merged` with the new quantity
+    res.status(result.added.length > 0 ? 201 : 200).json({ tasks: result.added, merged: result.merged });
+  }));
+
+  router.patch('/tasks/:id', handle(async (req, res) => {
+    const task = await findTask(req, res);
+    if (!task) return;
+    const updates = pickTaskInput(req.body);
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: `Keine Änderungen (Felder: ${TASK_FIELDS.join(', ')})` });
+    }
+    res.json({ task: await actions.updateFoundTask(task, updates) });
+  }));
+
+  router.post('/tasks/:id/complete', handle(async (req, res) => {
+    const task = await findTask(req, res);
+    if (!task) return;
+    if (task.status === 'done') {
+      return res.status(409).json({ error: 'Aufgabe ist schon erledigt' });
+    }
+    const { next, ...done } = await actions.completeFoundTask(task, req.apiUser);
+    res.json({ task: done, next: next || null });
+  }));
+
+  router.delete('/tasks/:id', handle(async (req, res) => {
+    const task = await findTask(req, res);
+    if (!task) return;
+    await actions.deleteFoundTask(task);
+    res.json({ task });
+  }));
+
+  router.post('/undo', handle(async (req, res) => {
+    res.json({ message: await actions.undoLastAction() });
+  }));
+
+  return router;
+}
+
+module.exports = {
+  createApiTokens,
+  createApiRouter
+};
@@ -0,0 +1,113 @@
+// console-bot.js - Stand-in for the Telegram bot that prints to the console
+//
+// Implements the parts of node-telegram-bot-api that bot.js uses, so the
+// simulator (simulate.js) runs the real message pipeline. Inline buttons are
+// numbered; press(n) sends the callback of button n of the latest keyboard.
+const fs = require('fs');
+const path = require('path');
+
+const SIMULATOR_USERNAME = 'simulator';
+
+function createConsoleBot(write = text => process.stdout.write(`${text}\n`)) {
+  const handlers = {};
+  const messages = new Map();
+  let nextMessageId = 1;
+  let nextQueryId = 1;
+  let buttons = [];
+
+  // Text plus numbered buttons; remembers the buttons for press()
+  function render(prefix, text, replyMarkup, message) {
+    write(`${prefix}${text}`);
+    const rows = (replyMarkup && replyMarkup.inline_keyboard) || [];
+    if (rows.length === 0) return;
+
+    buttons = [];
+    rows.forEach(row => {
+      const labels = row.map(button => {
+        buttons.push({ button, message });
+        return `[${buttons.length}] ${button.text}`;
+      });
+      write(`   ${labels.join('  ')}`);
+    });
+  }
+
+  async function dispatch(event, payload) {
+    if (!handlers[event]) throw new Error(`No handler for ${event}`);
+    await handlers[event](payload);
+  }
+
+  return {
+    on(event, handler) {
+      handlers[event] = handler;
+    },
+
+    async sendMessage(chatId, text, options = {}) {
+      const message = { message_id: nextMessageId++, chat: { id: chatId }, text };
+      messages.set(message.message_id, message);
+      render('🤖 ', text, options.reply_markup, message);
+      return message;
+    },
+
+    async editMessageText(text, options = {}) {
+      const message = messages.get(options.message_id) || { message_id: options.message_id, chat: { id: options.chat_id } };
+      message.text = text;
+      render('✏️  ', text, options.reply_markup, message);
+      return message;
+    },
+
+    async answerCallbackQuery(queryId, options = {}) {
+      if (options.text) write(`💬 ${options.text}`);
+      return true;
+    },
+
+    async getMe() {
+      return { id: 0, is_bot: true, username: SIMULATOR_USERNAME };
+    },
+
+    // Voice notes of the simulator carry a local file path as file_id
+    async downloadFile(fileId, downloadDir) {
+      const target = path.join(downloadDir, path.basename(fileId));
+      fs.copyFileSync(fileId, target);
+      return target;
+    },
+
+    async setWebHook() { return true; },
+    async deleteWebHook() { return true; },
+    async getWebHookInfo() { return {}; },
+    startPolling() {},
+    processUpdate() {},
+
+    // A text message from `from` ({ id, first_name }) in `chat` ({ id, type })
+    async send(text, from, chat) {
+      await dispatch('message', { message_id: nextMessageId++, date: Math.floor(Date.now() / 1000), chat, from, text });
+    },
+
+    // A voice note with the audio file at filePath
+    async voice(filePath, from, chat) {
+      if (!fs.existsSync(filePath)) {
+        write(`No such file ${filePath}`);
+        return;
+      }
+      const voice = { file_id: path.resolve(filePath), duration: 1, mime_type: 'audio/ogg' };
+      await dispatch('message', { message_id: nextMessageId++, date: Math.floor(Date.now() / 1000), chat, from, voice });
+    },
+
+    // Press button n (1-based) of the latest keyboard
+    async press(n, from, chat) {
+      const entry = buttons[n - 1];
+      if (!entry) {
+        write(`No button ${n} (${buttons.length} available)`);
+        return;
+      }
+      write(`👆 ${entry.button.text}`);
+      await dispatch('callback_query', {
+        id: String(nextQueryId++),
+        from,
+        data: entry.button.callback_data,
+        message: { ...entry.message, chat: { ...chat, ...entry.message.chat } }
+      });
+    }
+  };
+}
+
+module.exports = { createConsoleBot };
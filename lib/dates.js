@@ -0,0 +1,67 @@
+// dates.js - Date helpers. Task dates are YYYY-MM-DD strings in the
+// household's timezone, times are HH:MM.
+
+function toDate(dateStr) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(dateStr || '');
+  if (!match) return null;
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+function formatDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Current wall-clock time in a timezone (e.g. "Europe/Berlin") as a Date
+// whose local fields (getHours, getDate, ...) show that time. Without a
+// timezone the server's local time is used.
+function nowIn(timeZone) {
+  const now = new Date();
+  if (!timeZone) return now;
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(now).forEach(part => { parts[part.type] = Number(part.value); });
+  return new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+// Day (YYYY-MM-DD) of a point in time, e.g. a completedAt timestamp, in a
+// timezone; the server's local day without one
+function dayIn(instant, timeZone) {
+  const date = new Date(instant);
+  if (!timeZone) return formatDate(date);
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+function startOfToday(timeZone) {
+  const now = nowIn(timeZone);
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+}
+
+// False for unknown timezone names
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// True for values written by parseDate, false for free text like "bald"
+function isIsoDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+}
+
+module.exports = {
+  toDate,
+  formatDate,
+  nowIn,
+  dayIn,
+  startOfToday,
+  isValidTimeZone,
+  isIsoDate
+};
@@ -0,0 +1,103 @@
+// digest.js - Scheduled morning digest and weekly review per chat
+const { formatDate } = require('./dates');
+
+const CHECK_INTERVAL = 60 * 1000;
+
+const DEFAULT_SETTINGS = {
+  daily: false,
+  dailyTime: '07:00',
+  weekly: false,
+  weeklyTime: '19:00', // Sundays
+  person: null // null = one digest per household member
+};
+
+function getDigestSettings(state, chatId) {
+  const all = state.get('digests', {});
+  return { ...DEFAULT_SETTINGS, ...(all[chatId] || {}) };
+}
+
+async function updateDigestSettings(state, chatId, changes) {
+  const all = state.get('digests', {});
+  all[chatId] = { ...getDigestSettings(state, chatId), ...changes };
+  await state.set('digests', all);
+  return all[chatId];
+}
+
+// Drops a chat's digests, e.g. when it leaves the household
+async function removeDigestSettings(state, chatId) {
+  const all = state.get('digests', {});
+  if (!all[chatId]) return;
+  delete all[chatId];
+  await state.set('digests', all);
+}
+
+// "7", "7:30", "07.30" → "07:30"; null if not a valid time
+function parseTime(value) {
+  const match = /^(\d{1,2})(?:[:.](\d{2}))?$/.exec((value || '').trim());
+  if (!match) return null;
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2] || '0', 10);
+  if (hours > 23 || minutes > 59) return null;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+function currentTime(now) {
+  return `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+}
+
+// Send every digest and review that is due and wasn't sent today yet
+async function checkDigests({ getTasks, send, state, formatDigest, formatWeeklyReview, now = new Date() }) {
+  const all = state.get('digests', {});
+  const today = formatDate(now);
+  const time = currentTime(now);
+  let tasks = null;
+
+  for (const chatId of Object.keys(all)) {
+    const settings = getDigestSettings(state, chatId);
+    const dailyDue = settings.daily && time >= settings.dailyTime && settings.lastDaily !== today;
+    const weeklyDue = settings.weekly && now.getDay() === 0 && time >= settings.weeklyTime && settings.lastWeekly !== today;
+    if (!dailyDue && !weeklyDue) continue;
+
+    // Only read the task list when something is actually sent
+    if (!tasks) tasks = await getTasks();
+
+    if (dailyDue) {
+      for (const message of formatDigest(tasks, settings.person)) {
+        await send(chatId, message);
+      }
+      await updateDigestSettings(state, chatId, { lastDaily: today });
+    }
+
+    if (weeklyDue) {
+      await send(chatId, formatWeeklyReview(tasks, settings.person));
+      await updateDigestSettings(state, chatId, { lastWeekly: today });
+    }
+  }
+}
+
+function startDigestScheduler(options) {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await checkDigests({ ...options, now: options.clock ? options.clock() : new Date() });
+    } catch (error) {
+      console.error('Digest error:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  return setInterval(run, CHECK_INTERVAL);
+}
+
+module.exports = {
+  getDigestSettings,
+  updateDigestSettings,
+  removeDigestSettings,
+  parseTime,
+  startDigestScheduler
+};
@@ -0,0 +1,75 @@
+// household.js - Household members, their aliases and the shared-task value
+//
+// Configured with HOUSEHOLD_MEMBERS, e.g. "Moana:Moni,Mo;Jeremy:Jerry;Kim"
+// (name, then optional comma-separated aliases/nicknames).
+
+const DEFAULT_MEMBERS = 'Moana;Jeremy';
+
+// Words that mean "everyone" - shared tasks
+const SHARED_TASK_INDICATORS = ['both', 'beide', 'zusammen', 'gemeinsam', 'wir', 'alle', 'all', 'everyone', 'jeder'];
+
+function parseMembers(value) {
+  return (value || '')
+    .split(';')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [name, aliases = ''] = entry.split(':');
+      return {
+        name: name.trim(),
+        aliases: aliases.split(',').map(alias => alias.trim()).filter(Boolean)
+      };
+    })
+    .filter(member => member.name);
+}
+
+// "Moana und Jeremy", "Anna, Ben und Kim"
+function joinNames(names) {
+  if (names.length <= 1) return names.join('');
+  return `${names.slice(0, -1).join(', ')} und ${names[names.length - 1]}`;
+}
+
+function createHousehold(members, sharedLabel = null) {
+  const names = members.map(member => member.name);
+  // Two people share tasks as "Beide", larger households as "Alle"
+  const shared = sharedLabel || (names.length === 2 ? 'Beide' : 'Alle');
+
+  const lookup = new Map();
+  members.forEach(member => {
+    lookup.set(member.name.toLowerCase(), member.name);
+    member.aliases.forEach(alias => lookup.set(alias.toLowerCase(), member.name));
+  });
+
+  return {
+    members,
+    names,
+    shared,
+
+    // Canonical member name for a name or alias, or null if unknown
+    resolveName(word) {
+      return lookup.get((word || '').toLowerCase().trim()) || null;
+    },
+
+    isShared(person) {
+      const lower = (person || '').toLowerCase().trim();
+      return lower === shared.toLowerCase() || SHARED_TASK_INDICATORS.includes(lower);
+    },
+
+    describe() {
+      return joinNames(names);
+    }
+  };
+}
+
+// Household from the environment (HOUSEHOLD_MEMBERS, HOUSEHOLD_SHARED_LABEL)
+function loadHousehold() {
+  let members = parseMembers(process.env.HOUSEHOLD_MEMBERS);
+  if (members.length === 0) members = parseMembers(DEFAULT_MEMBERS);
+  return createHousehold(members, process.env.HOUSEHOLD_SHARED_LABEL || null);
+}
+
+module.exports = {
+  parseMembers,
+  createHousehold,
+  loadHousehold
+};
@@ -0,0 +1,172 @@
+// households.js - Several households served by one bot instance
+//
+// Every household has its own task store (file or sheet tab), members, state
+// (settings, undo history, ...) and journal. Chats are bound to a household;
+// with MULTI_HOUSEHOLD off every chat uses the default household from the
+// environment, as before.
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createStateStore } = require('./state');
+const { createJournal } = require('./journal');
+const { parseMembers, createHousehold, loadHousehold } = require('./household');
+
+const DEFAULT_HOUSEHOLD_ID = 'default';
+
+// Household being served by the current message, button or scheduler run
+const householdContext = new AsyncLocalStorage();
+
+function runInHousehold(context, fn) {
+  return householdContext.run(context, fn);
+}
+
+// Throws outside of runInHousehold, so nothing can silently fall back to
+// another household's tasks
+function currentHousehold() {
+  const context = householdContext.getStore();
+  if (!context) {
+    throw new Error('Kein Haushalt ausgewählt');
+  }
+  return context;
+}
+
+function createInviteCode() {
+  return crypto.randomBytes(4).toString('hex').toUpperCase();
+}
+
+// state: the global state store (household records and chat bindings)
+// createStore: storage factory (see storage.js)
+// onLoad: called once for every household context, e.g. to start schedulers
+function createHouseholdRegistry({ state, createStore, dataDir, multi = false, onLoad = () => {} }) {
+  const contexts = new Map();
+
+  function getRecords() {
+    const records = state.get('households', {});
+    // The default household always exists (configured via the environment)
+    if (!records[DEFAULT_HOUSEHOLD_ID]) {
+      records[DEFAULT_HOUSEHOLD_ID] = { name: 'Haushalt', inviteCode: createInviteCode() };
+      state.set('households', records);
+    }
+    return records;
+  }
+
+  async function saveRecord(id, record) {
+    const records = getRecords();
+    records[id] = record;
+    await state.set('households', records);
+  }
+
+  function buildMembers(record) {
+    const members = parseMembers(record.members);
+    return members.length > 0 ? createHousehold(members, record.sharedLabel || null) : loadHousehold();
+  }
+
+  function storeOptions(id, record) {
+    if (id === DEFAULT_HOUSEHOLD_ID) return {};
+    return {
+      filePath: path.join(dataDir, 'households', id, 'tasks.json'),
+      spreadsheetId: record.spreadsheetId,
+      sheetName: record.sheetName
+    };
+  }
+
+  function get(id) {
+    if (contexts.has(id)) return contexts.get(id);
+
+    const record = getRecords()[id];
+    if (!record) return null;
+
+    // The default household keeps using the main state file
+    const householdState = id === DEFAULT_HOUSEHOLD_ID
+      ? state
+      : createStateStore(path.join(dataDir, 'households', id, 'state.json'));
+
+    const context = {
+      id,
+      name: record.name,
+      inviteCode: record.inviteCode,
+      store: createStore(storeOptions(id, record)),
+      household: buildMembers(record),
+      // IANA name like "Europe/Berlin"; null uses the server's timezone
+      timezone: record.timezone || process.env.HOUSEHOLD_TIMEZONE || null,
+      state: householdState,
+      journal: createJournal(householdState)
+    };
+    contexts.set(id, context);
+    onLoad(context);
+    return context;
+  }
+
+  async function bindChat(chatId, id) {
+    const bindings = state.get('chatHouseholds', {});
+    if (id) {
+      bindings[chatId] = id;
+    } else {
+      delete bindings[chatId];
+    }
+    await state.set('chatHouseholds', bindings);
+  }
+
+  return {
+    multi,
+
+    // Household of a chat, or null if the chat isn't registered yet
+    forChat(chatId) {
+      if (!multi) return get(DEFAULT_HOUSEHOLD_ID);
+      const id = state.get('chatHouseholds', {})[chatId];
+      return id ? get(id) : null;
+    },
+
+    all() {
+      const ids = multi ? Object.keys(getRecords()) : [DEFAULT_HOUSEHOLD_ID];
+      return ids.map(get).filter(Boolean);
+    },
+
+    async create(name, chatId, founder) {
+      const id = crypto.randomBytes(4).toString('hex');
+      await saveRecord(id, {
+        name,
+        members: founder,
+        inviteCode: createInviteCode(),
+        sheetName: `${name} (${id})`,
+        createdAt: new Date().toISOString()
+      });
+      await bindChat(chatId, id);
+      return get(id);
+    },
+
+    async join(code, chatId) {
+      const records = getRecords();
+      const id = Object.keys(records).find(key => records[key].inviteCode === code.trim().toUpperCase());
+      if (!id) return null;
+      await bindChat(chatId, id);
+      return get(id);
+    },
+
+    async leave(chatId) {
+      await bindChat(chatId, null);
+    },
+
+    // Replace the member list ("Anna:Anni;Ben;Kim")
+    async setMembers(id, members) {
+      const record = getRecords()[id];
+      await saveRecord(id, { ...record, members });
+      const context = get(id);
+      context.household = buildMembers({ ...record, members });
+      return context.household;
+    },
+
+    async setTimezone(id, timezone) {
+      const record = getRecords()[id];
+      await saveRecord(id, { ...record, timezone });
+      get(id).timezone = timezone;
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_HOUSEHOLD_ID,
+  createHouseholdRegistry,
+  runInHousehold,
+  currentHousehold
+};
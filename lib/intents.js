@@ -0,0 +1,402 @@
+// intents.js - Rule-based intent parser (works without OpenAI)
+//
+// Turns a message into the same tool calls the AI would make:
+//   parseIntent('Edeka - Milch, Eier', { household, userName })
+//   → { rule: 'add_location_list', name: 'add_tasks', args: { tasks: [...] } }
+// `rule` names the rule that matched (see the intent regression harness).
+// Returns null if the message isn't understood.
+const { parseWhen } = require('./when');
+const { parseRecurrence } = require('./recurrence');
+const { parseQuantity } = require('./shopping');
+const { parseDuration, parsePriority } = require('./suggestions');
+const { parseRotation } = require('./rotation');
+const { splitSteps } = require('./subtasks');
+
+const SELF_WORDS = ['ich', 'mich', 'mir', 'meine', 'meiner', 'meinen', 'mein', 'me', 'my', 'mine', 'i'];
+const SHARED_WORDS = ['beide', 'beiden', 'uns', 'wir', 'gemeinsam', 'gemeinsame', 'gemeinsamen', 'zusammen', 'alle', 'both', 'us', 'everyone'];
+const SMALL_TALK = /^(hallo|hi|hey|moin|servus|guten (morgen|tag|abend)|danke|dankeschön|thx|thanks|thank you|ok|okay|gut|super|toll|ja|nein|cool|nice|alles klar|bitte|tschüss|ciao|bye|👍|🙏)[!. ]*$/;
+
+const WEEKDAY_WORDS = 'montag|dienstag|mittwoch|donnerstag|freitag|samstag|sonntag|monday|tuesday|wednesday|thursday|friday|saturday|sunday';
+const RECURRENCE_PATTERN = new RegExp([
+  `\\b(?:jeden|jede|jedes|immer|every|each)\\s+(?:zweite[nr]?\\s+)?(?:${WEEKDAY_WORDS}|tag|woche|monat|day|week|month)s?\\b`,
+  '\\b(?:montags|dienstags|mittwochs|donnerstags|freitags|samstags|sonntags)\\b',
+  '\\b(?:alle|every)\\s+(?:\\d+|[a-zäöü]+)\\s+(?:tage|tagen|wochen|monate|monaten|days|weeks|months)\\b',
+  '\\b(?:täglich|wöchentlich|zweiwöchentlich|monatlich|daily|weekly|biweekly|monthly)\\b'
+].join('|'), 'i');
+
+// Words that may stand alone as a date ("morgen"); short ones like "mo" or
+// "so" only count inside longer expressions
+const STANDALONE_DATE_WORDS = new RegExp(`^(heute|morgen|übermorgen|today|tomorrow|tonight|wochenende|weekend|monatsende|${WEEKDAY_WORDS})$`);
+const DATE_PREPOSITIONS = /^(am|bis|um|ab|an|on|by|until|zum|vor|für|for|spätestens)$/;
+const MAX_DATE_WORDS = 6;
+
+// "abwechselnd", "fair im Wechsel", "reihum zwischen Moana und Jeremy" at the end of a task
+const ROTATION_PHRASE = /[\s,]+((?:(?:fair|gerecht)\s+)?(?:abwechselnd|im wechsel|reihum)(?:\s+zwischen\s+\S+(?:\s*(?:,|und)\s*\S+)+)?)$/i;
+
+const DURATION_PATTERN = /(?:eine[rn]?\s+)?(?:halben?\s+stunde|viertelstunde|dreiviertelstunde)|(?:\d+(?:[.,]\d+)?|eine[rn]?|ein|zwei|drei|vier|fünf|zehn|zwanzig|dreißig)\s*(?:minuten|minute|min|stunden|stunde|std|h)\b/;
+
+function cleanText(text) {
+  return text.replace(/\s+/g, ' ').replace(/^[\s,.:;-]+|[\s,.!:;-]+$/g, '').trim();
+}
+
+function capitalize(text) {
+  return text ? text.charAt(0).toUpperCase() + text.slice(1) : text;
+}
+
+// Person for a word: member name/alias, the user for "ich", the shared value
+// for "beide"; null if the word isn't a person
+function resolvePerson(word, household, userName) {
+  const lower = (word || '').toLowerCase().replace(/[':,.!?]/g, '').replace(/s$/, '');
+  const plain = (word || '').toLowerCase().replace(/[':,.!?]/g, '');
+  if (SELF_WORDS.includes(plain)) return userName;
+  if (SHARED_WORDS.includes(plain) || household.isShared(plain)) return household.shared;
+  return household.resolveName(plain) || household.resolveName(lower) || null;
+}
+
+// Cut a date/time expression out of the text ("morgen um 18 Uhr zum Arzt").
+// The longest span that parses wins; returns [when, remaining text].
+function extractWhen(text) {
+  const words = text.split(' ');
+  for (let length = Math.min(MAX_DATE_WORDS, words.length); length >= 1; length--) {
+    for (let start = 0; start + length <= words.length; start++) {
+      const span = words.slice(start, start + length).join(' ').replace(/[,!?]+$/, '');
+      const lower = span.toLowerCase();
+      if (length === 1 && !/\d/.test(lower) && !STANDALONE_DATE_WORDS.test(lower)) continue;
+      if (/^(jetzt|now)$/.test(lower) || !parseWhen(lower)) continue;
+
+      // Drop a preposition in front of the date ("bis Freitag", "am 3.5.")
+      let before = words.slice(0, start);
+      if (before.length > 0 && DATE_PREPOSITIONS.test(before[before.length - 1].toLowerCase())) {
+        before = before.slice(0, -1);
+      }
+      const rest = [...before, ...words.slice(start + length)].join(' ');
+      return [span, cleanText(rest)];
+    }
+  }
+  return ['', text];
+}
+
+function extractRecurrence(text) {
+  const match = text.match(RECURRENCE_PATTERN);
+  if (!match) return ['', text];
+  return [parseRecurrence(match[0]) ? match[0] : '', cleanText(text.replace(match[0], ' '))];
+}
+
+// One task from free text: recurrence, date and "für <Person>" are cut out
+function buildTask(text, defaults, household, userName) {
+  let rest = text;
+  const task = { ...defaults };
+
+  const rotation = rest.match(ROTATION_PHRASE);
+  if (rotation) {
+    task.rotation = rotation[1];
+    rest = rest.slice(0, rotation.index);
+  }
+
+  const [recurrence, withoutRecurrence] = extractRecurrence(rest);
+  if (recurrence) {
+    task.recurrence = recurrence;
+    rest = withoutRecurrence;
+  }
+
+  // Recurring tasks get their date from the rule ("jeden Montag")
+  if (!recurrence) {
+    const [when, withoutWhen] = extractWhen(rest);
+    if (when) {
+      task.when = when;
+      rest = withoutWhen;
+    }
+  }
+
+  // "... für Moana", "... für mich"
+  const forPerson = rest.match(/\s+(?:für|for)\s+(\S+)$/i);
+  if (forPerson && resolvePerson(forPerson[1], household, userName)) {
+    task.assignedTo = resolvePerson(forPerson[1], household, userName);
+    rest = rest.slice(0, forPerson.index);
+  }
+
+  // "... bei Edeka", "... @DM"
+  const location = rest.match(/\s+(?:bei|@)\s*(\S+)$/i) || rest.match(/^@(\S+)\s+/);
+  if (location && !task.location) {
+    task.location = location[1];
+    rest = rest.replace(location[0], ' ');
+  }
+
+  task.task = capitalize(cleanText(rest));
+  if (/\b(kaufen|besorgen|holen|buy|get)\b/i.test(task.task) || task.location) {
+    task.category = task.category || 'shopping';
+  }
+
+  // "2x Hafermilch", "500g Mehl"; a bare number only on shopping lists
+  const item = parseQuantity(task.task, { bare: task.category === 'shopping' });
+  if (item.quantity) {
+    task.task = capitalize(item.name);
+    task.quantity = item.quantity;
+    if (item.unit) task.unit = item.unit;
+    task.category = task.category || 'shopping';
+  }
+  return task;
+}
+
+// Person phrases at the start of an add request; returns [person, rest]
+function extractAssignee(text, household, userName) {
+  // "ich muss ...", "Moana soll ...", "wir müssen ..."
+  let match = text.match(/^(\S+)\s+(?:muss|müssen|musst|soll|sollte|sollen|möchte|will|wollen|need to|needs to|has to|have to|should|must)\s+(?:noch\s+)?(.+)$/i);
+  if (match && resolvePerson(match[1], household, userName)) {
+    return [resolvePerson(match[1], household, userName), match[2]];
+  }
+
+  // "für mich: ...", "für Moana - ..."
+  match = text.match(/^(?:für|for)\s+(\S+?)\s*[:-]\s*(.+)$/i);
+  if (match && resolvePerson(match[1], household, userName)) {
+    return [resolvePerson(match[1], household, userName), match[2]];
+  }
+
+  // "erinnere mich an ...", "remind me to ..."
+  match = text.match(/^(?:erinnere mich(?:\s+daran)?|remind me)(?:\s+(?:an|to|,))?\s+(.+)$/i);
+  if (match) return [userName, match[1]];
+
+  return [null, text];
+}
+
+// "Ich bin bei Edeka" starts a shopping trip, "Einkaufsliste" shows every store
+function parseShopping(text) {
+  const trip = text.match(/^(?:ich\s+bin|bin|wir\s+sind|sind|i'?m)\s+(?:jetzt\s+|gerade\s+)?(?:bei|im|at)\s+([^\s?,!.]+)(?:\s*[,.]?\s*(?:was\s+brauch(?:e|en)?\s+(?:ich|wir)|what do i need))?\??$/i);
+  if (trip) return { rule: 'shopping_trip', name: 'start_shopping', args: { location: trip[1] } };
+
+  const lower = text.toLowerCase();
+  if (/^(?:zeig(?:e)?\s+(?:mir\s+)?(?:die\s+)?)?(?:einkaufsliste|shopping list)\??$|^was\s+(?:müssen|muss)\s+(?:wir|ich)\s+(?:noch\s+)?einkaufen\??$/.test(lower)) {
+    return { rule: 'shopping_list', name: 'show_shopping_list', args: {} };
+  }
+  return null;
+}
+
+// "Ich hab 20 Minuten, was kann ich machen?", "Was schaffen wir in einer Stunde?"
+function parseSuggest(text, household, userName) {
+  const lower = text.toLowerCase();
+  const duration = lower.match(DURATION_PATTERN);
+  const asks = /\b(?:was kann ich|was können wir|was schaff(?:e|en)?\s+(?:ich|wir)|vorschlag|vorschläge|what can i do|suggest)\b/.test(lower);
+  const hasTime = duration && new RegExp(`^(?:ich\\s+|wir\\s+)?(?:hab|habe|haben)\\s+(?:noch\\s+|gerade\\s+)?${duration[0]}(?:\\s+zeit)?$`).test(lower);
+  if (!asks && !hasTime) return null;
+
+  const args = {};
+  if (duration && parseDuration(duration[0])) args.time = duration[0];
+  const location = lower.match(/\b(zuhause|zu hause|daheim|unterwegs|draußen)\b/) || text.match(/\b(?:bei|at)\s+([^\s?,!.]+)/i);
+  if (location) args.location = location[1];
+  if (!/\b(?:wir|uns)\b/.test(lower)) args.person = userName;
+  return { rule: 'suggest', name: 'suggest_tasks', args };
+}
+
+// "Tausch mit Moana", "Tausche Müll mit Jeremy", "Moana soll für mich übernehmen"
+function parseSwap(text, household, userName) {
+  const match = text.match(/^(?:tausch|tausche|tauschen|swap)\s+(?:(.+?)\s+)?(?:mit|with)\s+(\S+?)[!.]*$/i);
+  if (!match) return null;
+  // Unknown names are passed on, so the bot can say who it doesn't know
+  const args = { with: resolvePerson(match[2], household, userName) || match[2] };
+  if (match[1] && !/^(bitte|heute|diesmal|diese woche)$/i.test(match[1])) args.taskName = cleanText(match[1]);
+  return { rule: 'swap', name: 'swap_turn', args };
+}
+
+// Steps for a checklist: "Füge zu Party hinzu: Kuchen, Deko", "Checkliste für Umzug:
+// Kartons, Transporter", "add to Party: cake, balloons"
+function parseSubtasks(text) {
+  const match = text.match(/^(?:füge|füg|fuege)\s+(?:zu|zur|zum)\s+(.+?)\s+(?:hinzu|dazu)\s*:\s*(.+)$/i)
+    || text.match(/^(?:checkliste|schritte|unteraufgaben|teilaufgaben|checklist|steps|subtasks)\s+(?:für|zu|zur|zum|for)\s+(.+?)\s*:\s*(.+)$/i)
+    || text.match(/^add\s+to\s+(.+?)\s*:\s*(.+)$/i);
+  if (!match) return null;
+  const items = splitSteps(match[2]).map(capitalize);
+  if (items.length === 0) return null;
+  return { rule: 'subtasks', name: 'add_subtasks', args: { taskName: cleanText(match[1]), items } };
+}
+
+// "Statistik", "Wer hat diese Woche mehr gemacht?", "Wie viel haben wir im Monat geschafft?"
+function parseStats(text) {
+  const lower = text.toLowerCase();
+  if (!/^\/?(statistik|stats)\b|\bwer hat\b.*\b(mehr|am meisten|weniger|am wenigsten)\b|\bwie viel(e)?\b.*\b(geschafft|erledigt|gemacht)\b/.test(lower)) {
+    return null;
+  }
+
+  const args = {};
+  const period = lower.match(/\b(\d+\s+(?:tage|tagen|wochen))\b|\b(heute|woche|monat|jahr|insgesamt|gesamt|alles|immer)\b/);
+  if (period) args.period = period[1] || period[2];
+  return { rule: 'stats', name: 'show_stats', args };
+}
+
+function parseShow(text, household, userName) {
+  const lower = text.toLowerCase();
+  const looksLikeQuestion = /^(zeig|zeige|liste|list|show|was|welche|what|which|bin bei|ich bin bei|wir sind bei|am at|i'?m at|gibt'?s)\b/.test(lower)
+    || /\?$/.test(lower)
+    || /^(nur\s+|only\s+|ausschließlich\s+)?(meine|unsere|alle|gemeinsame|offene|my|all|our)?\s*(aufgaben|todos|liste|tasks)\b/.test(lower)
+    || /^\S+s?\s+(aufgaben|todos|tasks)$/.test(lower);
+  if (!looksLikeQuestion || !/aufgabe|liste|zeig|was muss|was brauch|was gibt|was soll|was steht|was fehlt|bin bei|sind bei|todo|task|show|list|what do|\bi'?m at\b/.test(lower)) {
+    return null;
+  }
+
+  const args = {};
+  if (/\b(nur|only|ausschließlich)\b/.test(lower)) args.excludeShared = true;
+
+  const location = text.match(/\b(?:bei|at)\s+([^\s?,!.]+)|@([^\s?,!.]+)/i);
+  if (location) args.location = location[1] || location[2];
+
+  // Person words, unless the question is about a place
+  if (!args.location) {
+    const person = lower
+      .replace(/[?!.,]/g, ' ')
+      .split(/\s+/)
+      .map(word => resolvePerson(word, household, userName))
+      .find(Boolean);
+    if (person) args.person = person;
+  }
+  if (!args.person) delete args.excludeShared;
+
+  return { rule: args.location ? 'show_location' : args.person ? 'show_person' : 'show_all', name: 'show_tasks', args };
+}
+
+function parseComplete(text) {
+  // "Milch erledigt", "Müll ist fertig", "Bad putzen done"
+  let match = text.match(/^(.+?)\s+(?:ist\s+|sind\s+|is\s+)?(?:erledigt|fertig|gemacht|done|abgehakt)[!.]*$/i);
+  // "erledigt: Milch", "hake Milch ab", "done Milch"
+  if (!match) match = text.match(/^(?:erledigt|done|fertig)\s*:?\s+(.+)$/i);
+  if (!match) match = text.match(/^(?:hake|hak)\s+(.+?)\s+ab$/i);
+  if (!match) return null;
+  const taskName = cleanText(match[1].replace(/^(?:ich habe|hab|habe|die aufgabe|aufgabe)\s+/i, ''));
+  return taskName ? { rule: 'complete', name: 'complete_task', args: { taskName } } : null;
+}
+
+function parseDelete(text) {
+  let match = text.match(/^(?:lösche|lösch|entferne|streiche|delete|remove)\s+(?:die\s+aufgabe\s+|aufgabe\s+)?(.+?)(?:\s+von der liste)?$/i);
+  if (!match) match = text.match(/^(.+?)\s+(?:löschen|entfernen|streichen|delete|remove)$/i);
+  if (!match) return null;
+  return { rule: 'delete', name: 'delete_task', args: { taskName: cleanText(match[1]) } };
+}
+
+function parseUpdate(text, household, userName) {
+  // "Ändere Milch zu Hafermilch", "Ändere Zahnarzt auf Freitag", "change X to Y"
+  let match = text.match(/^(?:ändere|änder|aendere|change|rename|benenne)\s+(.+?)\s+(?:zu|in|auf|to)\s+(.+?)(?:\s+um)?$/i);
+  let rule = 'update';
+  // "Bad putzen soll reihum gehen", "Müll fair verteilen", "Bad soll fair verteilt werden",
+  // "Bad putzen nicht mehr abwechselnd"
+  // (a plain "Müll rausbringen abwechselnd" adds a new task)
+  const rotation = text.match(/^(mach\s+|mache\s+|setze\s+|stell\s+)?(.+?)\s+((?:(?:soll|sollen|ab jetzt|jetzt)\s+)+)?((nicht mehr\s+)?(?:fair|gerecht|abwechselnd|im wechsel|reihum)(\s+(?:zwischen\s+.+\s+)?(?:verteilen|verteilt werden|gehen|machen|erledigen))?)$/i);
+  if (rotation && (rotation[1] || rotation[3] || rotation[5] || rotation[6]) && parseRotation(rotation[4], household) !== null) {
+    return { rule: 'update_rotation', name: 'update_task', args: { taskName: cleanText(rotation[2]), updates: { rotation: rotation[5] ? 'keine' : cleanText(rotation[4]) } } };
+  }
+
+  // "Steuer ist dringend", "Fenster putzen ist unwichtig"
+  const priority = text.match(/^(.+?)\s+ist\s+(?:jetzt\s+|sehr\s+)?(dringend|wichtig|unwichtig|nicht\s+(?:so\s+)?wichtig)$/i);
+  if (priority) {
+    const level = /^(dringend|wichtig)$/i.test(priority[2]) ? 'high' : 'low';
+    return { rule: 'update_priority', name: 'update_task', args: { taskName: cleanText(priority[1]), updates: { priority: level } } };
+  }
+  // "Verschiebe Zahnarzt auf Freitag", "move X to Y"
+  if (!match) {
+    match = text.match(/^(?:verschiebe|verschieb|verlege|move|postpone)\s+(.+?)\s+(?:auf|nach|to|zu)\s+(.+)$/i);
+    rule = 'update_when';
+  }
+  if (!match) return null;
+
+  const taskName = cleanText(match[1]);
+  const value = cleanText(match[2]);
+  const updates = {};
+
+  const person = value.split(' ').length === 1 ? resolvePerson(value, household, userName) : null;
+  const [recurrence, rest] = extractRecurrence(value);
+  if (parseRotation(value, household) && !person) {
+    updates.rotation = value;
+    rule = 'update_rotation';
+  } else if (parsePriority(value)) {
+    updates.priority = parsePriority(value);
+    rule = 'update_priority';
+  } else if (parseDuration(value) && !/^\d+$/.test(value)) {
+    updates.duration = parseDuration(value);
+    rule = 'update_duration';
+  } else if (recurrence && rest === '') {
+    updates.recurrence = recurrence;
+    rule = 'update_recurrence';
+  } else if (/^(keine|nie)\s+wiederholung$|^nicht mehr wiederholen$/i.test(value)) {
+    updates.recurrence = 'keine';
+    rule = 'update_recurrence';
+  } else if (parseWhen(value.toLowerCase())) {
+    updates.when = value;
+    rule = 'update_when';
+  } else if (person) {
+    updates.person = person;
+    rule = 'update_person';
+  } else if (rule === 'update_when') {
+    // "verschiebe Milch nach Rewe" - not a date, so a place
+    updates.location = value;
+    rule = 'update_location';
+  } else {
+    updates.task = capitalize(value);
+    rule = 'update_rename';
+  }
+  return { rule, name: 'update_task', args: { taskName, updates } };
+}
+
+function parseAdd(text, household, userName) {
+  let rest = text.replace(/^(?:füge|fuege|add|neue aufgabe|new task|notiere|notier|schreib auf|auf die liste)\s*:?\s*/i, '')
+    .replace(/\s+(?:hinzu|dazu|auf die liste|zur liste|to the list)$/i, '');
+  const [assignee, withoutAssignee] = extractAssignee(cleanText(rest), household, userName);
+  rest = withoutAssignee;
+
+  const defaults = {};
+  if (assignee) defaults.assignedTo = assignee;
+
+  // "Müll rausbringen, Bad putzen - abwechselnd" applies to every task
+  const rotation = rest.match(ROTATION_PHRASE);
+  if (rotation) {
+    defaults.rotation = rotation[1];
+    rest = cleanText(rest.slice(0, rotation.index));
+  }
+  if (assignee && assignee !== household.shared) defaults.category = 'personal';
+
+  // "Edeka - Milch, Eier und Butter", "DM: Zahnpasta"
+  const list = rest.match(/^([^-:,]{1,30}?)\s*(?:\s-\s|:)\s*(.+)$/);
+  if (list && !resolvePerson(list[1], household, userName)) {
+    const items = list[2].split(/\s*,\s*|\s+und\s+|\s+and\s+/).map(cleanText).filter(Boolean);
+    const tasks = items.map(item => buildTask(item, { ...defaults, location: cleanText(list[1]), category: 'shopping' }, household, userName));
+    return { rule: 'add_location_list', name: 'add_tasks', args: { tasks } };
+  }
+
+  const items = rest.split(/\s*,\s*/).map(cleanText).filter(Boolean);
+  if (items.length === 0) return null;
+  const tasks = items.map(item => buildTask(item, defaults, household, userName)).filter(task => task.task);
+  if (tasks.length === 0) return null;
+
+  let rule = 'add';
+  if (assignee === userName) rule = 'add_self';
+  else if (assignee && assignee !== household.shared) rule = 'add_person';
+  return { rule, name: 'add_tasks', args: { tasks } };
+}
+
+function parseIntent(input, { household, userName }) {
+  const text = cleanText(String(input || ''));
+  if (!text) return null;
+  const lower = text.toLowerCase();
+
+  if (/^\/?(wiederholen|redo)\b/.test(lower)) {
+    return { rule: 'redo', name: 'redo_last_action', args: {} };
+  }
+  if (/rückgängig|\bundo\b|^(das war |war )?falsch$/.test(lower)) {
+    return { rule: 'undo', name: 'undo_last_action', args: {} };
+  }
+  // Unknown commands
+  if (text.startsWith('/')) return null;
+
+  const intent = parseSubtasks(text)
+    || parseShopping(text)
+    || parseSuggest(text, household, userName)
+    || parseStats(text)
+    || parseSwap(text, household, userName)
+    || parseShow(text, household, userName)
+    || parseUpdate(text, household, userName)
+    || parseDelete(text)
+    || parseComplete(text);
+  if (intent) return intent;
+
+  // Unknown questions and small talk aren't tasks
+  if (SMALL_TALK.test(lower) || /\?$/.test(text)) return null;
+  return parseAdd(text, household, userName);
+}
+
+module.exports = { parseIntent };
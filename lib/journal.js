@@ -0,0 +1,80 @@
+// journal.js - Persistent undo/redo history of task changes
+//
+// Every mutation is recorded as a list of changes with before/after snapshots:
+//   { before: null, after: task }  → task was added
+//   { before: task, after: null }  → task was deleted
+//   { before: task, after: task }  → task was updated (completed, edited, ...)
+
+const HISTORY_LIMIT = 20;
+
+function createJournal(state) {
+  function load() {
+    return state.get('journal', { undo: [], redo: [] });
+  }
+
+  async function save(journal) {
+    journal.undo = journal.undo.slice(-HISTORY_LIMIT);
+    journal.redo = journal.redo.slice(-HISTORY_LIMIT);
+    await state.set('journal', journal);
+  }
+
+  // Apply snapshots to the store; returns the number of changes that failed
+  // (e.g. a task that was deleted in the sheet in the meantime)
+  async function apply(store, changes, direction) {
+    let failed = 0;
+    for (const change of changes) {
+      const from = direction === 'undo' ? change.after : change.before;
+      const to = direction === 'undo' ? change.before : change.after;
+      try {
+        if (from && !to) {
+          await store.remove(from);
+        } else if (!from && to) {
+          await store.add([to]);
+        } else if (from && to) {
+          await store.update(to);
+        }
+      } catch (error) {
+        console.error(`Journal ${direction} error:`, error.message);
+        failed++;
+      }
+    }
+    return failed;
+  }
+
+  return {
+    // Record a user action; a new action makes the redo history obsolete
+    async record(type, label, changes) {
+      if (changes.length === 0) return;
+      const journal = load();
+      journal.undo.push({ type, label, changes, timestamp: Date.now() });
+      journal.redo = [];
+      await save(journal);
+    },
+
+    // Revert the latest action; returns it (with `failed` count) or null
+    async undo(store) {
+      const journal = load();
+      const entry = journal.undo.pop();
+      if (!entry) return null;
+
+      const failed = await apply(store, [...entry.changes].reverse(), 'undo');
+      journal.redo.push(entry);
+      await save(journal);
+      return { ...entry, failed };
+    },
+
+    // Re-apply the latest undone action; returns it (with `failed` count) or null
+    async redo(store) {
+      const journal = load();
+      const entry = journal.redo.pop();
+      if (!entry) return null;
+
+      const failed = await apply(store, entry.changes, 'redo');
+      journal.undo.push(entry);
+      await save(journal);
+      return { ...entry, failed };
+    }
+  };
+}
+
+module.exports = { createJournal };
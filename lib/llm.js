@@ -0,0 +1,195 @@
+// llm.js - Chat model providers (OpenAI, local OpenAI-compatible servers, mock)
+//
+// The bot talks to the model in three steps: "plan", "chat" (tool calls) and
+// "eval". Every provider has the same interface:
+//   complete(step, { messages, tools, temperature, response_format }) → message
+// where message is an OpenAI chat message ({ content, tool_calls }).
+const fs = require('fs');
+const path = require('path');
+const OpenAI = require('openai');
+
+const STEPS = ['plan', 'chat', 'eval'];
+const DEFAULT_MODEL = 'gpt-4o';
+const DISABLED_MODELS = ['off', 'none', 'aus'];
+
+// Model per step: LLM_PLAN_MODEL / LLM_CHAT_MODEL / LLM_EVAL_MODEL, else
+// LLM_MODEL. "off" skips the step (small local models often do better without
+// planning and evaluation).
+function stepModels(options, defaultModel) {
+  const model = options.model || process.env.LLM_MODEL || defaultModel;
+  const models = {};
+  STEPS.forEach(step => {
+    const value = (options.models && options.models[step]) || process.env[`LLM_${step.toUpperCase()}_MODEL`] || model;
+    models[step] = DISABLED_MODELS.includes(value.toLowerCase()) ? null : value;
+  });
+  return models;
+}
+
+// OpenAI or any server with the OpenAI chat completions API (llama.cpp,
+// Ollama, LM Studio, vLLM)
+function createOpenAIProvider({ apiKey, baseURL, models, name }) {
+  const client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+
+  return {
+    name,
+    description: `${name === 'openai' ? 'OpenAI' : `Lokal (${baseURL})`}, Modell ${models.chat}`,
+    models,
+
+    enabled(step) {
+      return Boolean(models[step]);
+    },
+
+    async complete(step, params) {
+      const completion = await client.chat.completions.create({ model: models[step], ...params });
+      return completion.choices[0].message;
+    }
+  };
+}
+
+// Scripted answers for tests and the simulator. Each entry answers one call:
+//   { step: 'chat', match: 'Milch', toolCalls: [{ name: 'add_tasks', arguments: {...} }] }
+//   { step: 'plan', content: { intent: '...' } }
+// Entries are used in order; `match` (case-insensitive regex) is tested
+// against the last user message, `repeat: true` keeps an entry for further
+// calls. Without a matching entry the call fails like an unreachable API.
+function createMockProvider(script = []) {
+  const entries = script.map(entry => ({ ...entry }));
+  const calls = [];
+
+  function toMessage(entry) {
+    const message = { role: 'assistant', content: null };
+    if (entry.content !== undefined) {
+      message.content = typeof entry.content === 'string' ? entry.content : JSON.stringify(entry.content);
+    }
+    if (entry.toolCalls) {
+      message.tool_calls = entry.toolCalls.map((call, index) => ({
+        id: `mock_${calls.length}_${index}`,
+        type: 'function',
+        function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+      }));
+    }
+    return message;
+  }
+
+  return {
+    name: 'mock',
+    description: `Mock (${entries.length} Antworten)`,
+    models: { plan: 'mock', chat: 'mock', eval: 'mock' },
+    calls,
+
+    enabled(step) {
+      return step === 'chat' || entries.some(entry => entry.step === step);
+    },
+
+    async complete(step, params) {
+      const text = lastUserMessage(params.messages);
+      calls.push({ step, text });
+
+      const index = entries.findIndex(entry =>
+        (entry.step || 'chat') === step &&
+        !entry.used &&
+        (!entry.match || new RegExp(entry.match, 'i').test(text))
+      );
+      if (index === -1) {
+        throw new Error(`Mock-Provider: keine Antwort für ${step} ("${text.slice(0, 60)}")`);
+      }
+      if (!entries[index].repeat) entries[index].used = true;
+      return toMessage(entries[index]);
+    }
+  };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function lastUserMessage(messages) {
+  const userMessages = messages.filter(message => message.role === 'user');
+  return userMessages.length > 0 ? userMessages[userMessages.length - 1].content : '';
+}
+
+// Saves every answer of the provider as a mock script (LLM_RECORD), so a
+// session with a real model can be replayed offline with LLM_PROVIDER=mock
+function withRecording(provider, filePath) {
+  const entries = [];
+  return {
+    ...provider,
+    description: `${provider.description}, Aufnahme in ${filePath}`,
+
+    async complete(step, params) {
+      const message = await provider.complete(step, params);
+      const entry = { step, match: `^${escapeRegExp(lastUserMessage(params.messages))}$` };
+      if (message.content) entry.content = message.content;
+      if (message.tool_calls) {
+        entry.toolCalls = message.tool_calls.map(call => ({
+          name: call.function.name,
+          arguments: JSON.parse(call.function.arguments || '{}')
+        }));
+      }
+      entries.push(entry);
+      fs.writeFileSync(filePath, JSON.stringify(entries, null, 2));
+      return message;
+    }
+  };
+}
+
+function loadMockScript(filePath) {
+  if (!filePath) return [];
+  return JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+}
+
+function createProvider(options) {
+  const baseURL = options.baseURL || process.env.LLM_BASE_URL || null;
+  const defaultType = baseURL ? 'local' : process.env.OPENAI_API_KEY ? 'openai' : 'none';
+  const type = (options.type || process.env.LLM_PROVIDER || defaultType).toLowerCase().trim();
+
+  if (type === 'none' || type === 'off') return null;
+
+  if (type === 'mock') {
+    const script = options.script || loadMockScript(process.env.LLM_MOCK_SCRIPT);
+    console.log(`✅ Mock LLM initialized (${script.length} scripted answers)`);
+    return createMockProvider(script);
+  }
+
+  if (type === 'local') {
+    if (!baseURL) {
+      console.error('❌ LLM_PROVIDER=local needs LLM_BASE_URL (e.g. http://localhost:11434/v1)');
+      return null;
+    }
+    // Local servers usually ignore the key, but the client requires one
+    const apiKey = (options.apiKey || process.env.LLM_API_KEY || 'local').trim();
+    const models = stepModels(options, 'local-model');
+    console.log(`✅ Local LLM initialized (${baseURL}, ${models.chat})`);
+    return createOpenAIProvider({ apiKey, baseURL, models, name: 'local' });
+  }
+
+  if (type !== 'openai') {
+    console.error(`❌ Unknown LLM_PROVIDER "${type}" - use "openai", "local", "mock" or "none"`);
+    return null;
+  }
+
+  const apiKey = options.apiKey || process.env.LLM_API_KEY || process.env.OPENAI_API_KEY;
+  if (!apiKey) {
+    console.log('⚠️  No OpenAI key - running without AI');
+    return null;
+  }
+  const models = stepModels(options, DEFAULT_MODEL);
+  console.log(`✅ OpenAI initialized (${models.chat})`);
+  return createOpenAIProvider({ apiKey: apiKey.trim(), baseURL, models, name: 'openai' });
+}
+
+// Provider from options or the environment (LLM_PROVIDER, LLM_BASE_URL,
+// LLM_API_KEY, LLM_MODEL, LLM_MOCK_SCRIPT, OPENAI_API_KEY); null without AI.
+// With LLM_RECORD every answer is also saved as a mock script.
+function createLLM(options = {}) {
+  const provider = createProvider(options);
+  const recordPath = options.recordPath || process.env.LLM_RECORD;
+  if (!provider || !recordPath) return provider;
+  console.log(`🎙️  Recording LLM answers to ${path.resolve(recordPath)}`);
+  return withRecording(provider, path.resolve(recordPath));
+}
+
+module.exports = {
+  createLLM,
+  createMockProvider
+};
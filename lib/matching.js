@@ -0,0 +1,112 @@
+// matching.js - Find the task a user means ("Milch erledigt")
+//
+// Candidates are ranked by how well the name matches (exact, whole words,
+// substring, fuzzy), then by location and person words in the query
+// ("Milch Edeka", "Milch bei Edeka", "Zahnarzt Jeremy"). If the best
+// candidates are too close to call, the caller should ask the user.
+
+const AMBIGUITY_MARGIN = 15; // Score difference needed to pick a task without asking
+const MAX_CANDIDATES = 5;
+const FILLER_WORDS = ['bei', 'von', 'vom', 'im', 'in', 'für', 'at', 'for', 'from'];
+
+function words(text) {
+  return text.toLowerCase().replace(/[@,.!?]/g, ' ').split(/\s+/).filter(Boolean);
+}
+
+function levenshtein(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+// 1 for identical strings, 0 for completely different ones
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+function scoreName(taskName, query) {
+  const name = taskName.toLowerCase().trim();
+  const queryText = query.join(' ');
+  if (name === queryText) return 100;
+
+  const nameWords = words(name);
+  if (query.every(word => nameWords.includes(word))) return 80;
+  if (name.includes(queryText)) return 50;
+
+  // Typos: compare with the whole name and with its single words
+  const best = Math.max(
+    similarity(name, queryText),
+    ...(query.length === 1 ? nameWords.map(word => similarity(word, queryText)) : [0])
+  );
+  return best >= 0.75 ? Math.round(best * 45) : 0;
+}
+
+function scoreTask(task, queryWords, userName, shared) {
+  const location = (task.location || '').toLowerCase();
+  const person = (task.person || '').toLowerCase();
+
+  // Words naming the task's location or person are hints, not part of the name
+  let locationHit = false;
+  let personHit = false;
+  const nameQuery = queryWords.filter(word => {
+    if (location && (location === word || words(location).includes(word))) {
+      locationHit = true;
+      return false;
+    }
+    if (person && person === word) {
+      personHit = true;
+      return false;
+    }
+    return true;
+  });
+
+  const nameScore = scoreName(task.task, nameQuery.length > 0 ? nameQuery : queryWords);
+  if (nameScore === 0) return 0;
+
+  let score = nameScore;
+  if (locationHit) score += 30;
+  if (personHit) score += 20;
+  // Tie-breakers: own tasks before shared ones before other people's
+  if (userName && person === userName.toLowerCase()) score += 2;
+  else if (person === shared.toLowerCase()) score += 1;
+  return score;
+}
+
+// Returns { match } for a clear winner, { candidates } if the user has to
+// choose, or {} if nothing matches. `shared` is the person value of shared tasks.
+function findTaskMatches(tasks, query, userName = null, shared = 'Beide') {
+  const queryWords = words(query || '').filter(word => !FILLER_WORDS.includes(word));
+  if (queryWords.length === 0) return {};
+
+  const ranked = tasks
+    .filter(t => t.status !== 'done')
+    .map(task => ({ task, score: scoreTask(task, queryWords, userName, shared) }))
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  if (ranked.length === 0) return {};
+  if (ranked.length === 1 || ranked[0].score - ranked[1].score >= AMBIGUITY_MARGIN) {
+    return { match: ranked[0].task };
+  }
+
+  const candidates = ranked
+    .filter(entry => ranked[0].score - entry.score < AMBIGUITY_MARGIN)
+    .slice(0, MAX_CANDIDATES)
+    .map(entry => entry.task);
+  return { candidates };
+}
+
+module.exports = { findTaskMatches };
@@ -0,0 +1,186 @@
+// recurrence.js - Recurrence rules for repeating tasks
+//
+// Rules are stored as a small subset of iCalendar RRULEs, e.g.
+//   FREQ=WEEKLY;INTERVAL=1;BYDAY=MO   → jeden Montag
+//   FREQ=WEEKLY;INTERVAL=2            → alle 2 Wochen
+//   FREQ=DAILY;INTERVAL=3             → alle 3 Tage
+const { toDate, formatDate, startOfToday } = require('./dates');
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const WEEKDAY_NAMES = {
+  sonntag: 'SU', sunday: 'SU', so: 'SU',
+  montag: 'MO', monday: 'MO', mo: 'MO',
+  dienstag: 'TU', tuesday: 'TU', di: 'TU',
+  mittwoch: 'WE', wednesday: 'WE', mi: 'WE',
+  donnerstag: 'TH', thursday: 'TH', do: 'TH',
+  freitag: 'FR', friday: 'FR', fr: 'FR',
+  samstag: 'SA', saturday: 'SA', sa: 'SA'
+};
+
+const WEEKDAY_LABELS = {
+  SU: 'Sonntag', MO: 'Montag', TU: 'Dienstag', WE: 'Mittwoch',
+  TH: 'Donnerstag', FR: 'Freitag', SA: 'Samstag'
+};
+
+const UNIT_NAMES = {
+  tag: 'DAILY', tage: 'DAILY', tagen: 'DAILY', day: 'DAILY', days: 'DAILY',
+  woche: 'WEEKLY', wochen: 'WEEKLY', week: 'WEEKLY', weeks: 'WEEKLY',
+  monat: 'MONTHLY', monate: 'MONTHLY', monaten: 'MONTHLY', month: 'MONTHLY', months: 'MONTHLY'
+};
+
+const NUMBER_WORDS = {
+  ein: 1, eine: 1, einen: 1, one: 1,
+  zwei: 2, two: 2, drei: 3, three: 3, vier: 4, four: 4,
+  fünf: 5, five: 5, sechs: 6, six: 6
+};
+
+function buildRule(freq, interval = 1, byDay = null) {
+  let rule = `FREQ=${freq};INTERVAL=${Math.max(1, interval)}`;
+  if (byDay) rule += `;BYDAY=${byDay}`;
+  return rule;
+}
+
+function parseRule(rule) {
+  const parts = {};
+  rule.split(';').forEach(part => {
+    const [key, value] = part.split('=');
+    if (key && value) parts[key.trim().toUpperCase()] = value.trim().toUpperCase();
+  });
+
+  if (!['DAILY', 'WEEKLY', 'MONTHLY'].includes(parts.FREQ)) return null;
+  return {
+    freq: parts.FREQ,
+    interval: parseInt(parts.INTERVAL, 10) || 1,
+    byDay: WEEKDAYS.includes(parts.BYDAY) ? parts.BYDAY : null
+  };
+}
+
+function findWeekday(text) {
+  const match = text.match(/\b(montag|dienstag|mittwoch|donnerstag|freitag|samstag|sonntag|monday|tuesday|wednesday|thursday|friday|saturday|sunday)s?\b/);
+  return match ? WEEKDAY_NAMES[match[1]] : null;
+}
+
+// Turn the add_tasks "recurrence" argument or free text into a rule.
+// Accepts { every, unit, weekday }, an existing rule or German/English text.
+// Returns '' if nothing recurring was found.
+function parseRecurrence(input) {
+  if (!input) return '';
+
+  if (typeof input === 'object') {
+    const weekday = input.weekday ? WEEKDAY_NAMES[input.weekday.toLowerCase().trim()] : null;
+    const freq = UNIT_NAMES[(input.unit || '').toLowerCase().trim()] || (weekday ? 'WEEKLY' : null);
+    if (!freq) return '';
+    return buildRule(freq, parseInt(input.every, 10) || 1, freq === 'WEEKLY' ? weekday : null);
+  }
+
+  const text = String(input).toLowerCase().trim();
+  if (text === '' || /^(keine|nie|none|never|nein)$/.test(text)) return '';
+
+  if (text.startsWith('freq=')) {
+    const parsed = parseRule(text);
+    return parsed ? buildRule(parsed.freq, parsed.interval, parsed.byDay) : '';
+  }
+
+  const weekday = findWeekday(text);
+
+  // "alle 3 Tage", "alle zwei Wochen", "every 2 weeks"
+  const intervalMatch = text.match(/\b(?:alle|every)\s+(\d+|[a-zäöü]+)\s+(tage|tagen|wochen|monate|monaten|days|weeks|months)\b/);
+  if (intervalMatch) {
+    const interval = parseInt(intervalMatch[1], 10) || NUMBER_WORDS[intervalMatch[1]];
+    if (interval) {
+      const freq = UNIT_NAMES[intervalMatch[2]];
+      return buildRule(freq, interval, freq === 'WEEKLY' ? weekday : null);
+    }
+  }
+
+  if (/\b(zweiwöchentlich|biweekly|jede zweite woche)\b/.test(text)) {
+    return buildRule('WEEKLY', 2, weekday);
+  }
+
+  // "jeden Montag", "montags", "every monday"
+  if (weekday && /\b(jede[nrs]?|immer|every|each|montags|dienstags|mittwochs|donnerstags|freitags|samstags|sonntags)\b/.test(text)) {
+    return buildRule('WEEKLY', 1, weekday);
+  }
+
+  if (/\b(täglich|jeden tag|daily|every day)\b/.test(text)) return buildRule('DAILY');
+  if (/\b(wöchentlich|jede woche|weekly|every week)\b/.test(text)) return buildRule('WEEKLY', 1, weekday);
+  if (/\b(monatlich|jeden monat|monthly|every month)\b/.test(text)) return buildRule('MONTHLY');
+
+  return '';
+}
+
+// Human readable German description, e.g. "jeden Montag" or "alle 3 Tage"
+function describeRecurrence(rule) {
+  const parsed = rule ? parseRule(rule) : null;
+  if (!parsed) return '';
+
+  const { freq, interval, byDay } = parsed;
+  if (freq === 'DAILY') {
+    return interval === 1 ? 'täglich' : `alle ${interval} Tage`;
+  }
+  if (freq === 'WEEKLY') {
+    if (byDay) {
+      return interval === 1 ? `jeden ${WEEKDAY_LABELS[byDay]}` : `alle ${interval} Wochen (${WEEKDAY_LABELS[byDay]})`;
+    }
+    return interval === 1 ? 'wöchentlich' : `alle ${interval} Wochen`;
+  }
+  return interval === 1 ? 'monatlich' : `alle ${interval} Monate`;
+}
+
+function advance(date, parsed) {
+  const next = new Date(date);
+  if (parsed.freq === 'DAILY') {
+    next.setDate(next.getDate() + parsed.interval);
+  } else if (parsed.freq === 'WEEKLY') {
+    if (parsed.byDay) {
+      // Next matching weekday after the date, then skip the extra weeks
+      const target = WEEKDAYS.indexOf(parsed.byDay);
+      next.setDate(next.getDate() + ((target - next.getDay() + 7) % 7 || 7));
+      next.setDate(next.getDate() + 7 * (parsed.interval - 1));
+    } else {
+      next.setDate(next.getDate() + 7 * parsed.interval);
+    }
+  } else {
+    const day = next.getDate();
+    next.setDate(1);
+    next.setMonth(next.getMonth() + parsed.interval);
+    // Clamp e.g. the 31st to the last day of shorter months
+    const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+    next.setDate(Math.min(day, lastDay));
+  }
+  return next;
+}
+
+// First due date for a newly created recurring task (`today` in the
+// household's timezone)
+function firstOccurrence(rule, today = startOfToday()) {
+  const parsed = parseRule(rule);
+  if (!parsed || !parsed.byDay || WEEKDAYS[today.getDay()] === parsed.byDay) {
+    return formatDate(today);
+  }
+  const target = WEEKDAYS.indexOf(parsed.byDay);
+  const first = new Date(today);
+  first.setDate(today.getDate() + ((target - today.getDay() + 7) % 7));
+  return formatDate(first);
+}
+
+// Due date of the occurrence after `fromDate` (YYYY-MM-DD). Occurrences that
+// would already be in the past (task finished late) are skipped.
+function nextOccurrence(rule, fromDate, today = startOfToday()) {
+  const parsed = rule ? parseRule(rule) : null;
+  if (!parsed) return '';
+
+  let next = advance(toDate(fromDate) || today, parsed);
+  while (next <= today) {
+    next = advance(next, parsed);
+  }
+  return formatDate(next);
+}
+
+module.exports = {
+  parseRecurrence,
+  describeRecurrence,
+  firstOccurrence,
+  nextOccurrence
+};
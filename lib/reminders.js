@@ -0,0 +1,90 @@
+// reminders.js - Background scheduler for due-date reminders
+const { formatDate, isIsoDate } = require('./dates');
+const { itemLabel } = require('./shopping');
+
+const CHECK_INTERVAL = 60 * 1000; // Scan tasks once a minute
+
+// Chat and hour come from /erinnerungen (saved in state) or the environment
+function getReminderSettings(state) {
+  const saved = state.get('reminders', {});
+  return {
+    chatId: saved.chatId !== undefined ? saved.chatId : (process.env.REMINDER_CHAT_ID || null),
+    hour: saved.hour !== undefined ? saved.hour : parseInt(process.env.REMINDER_HOUR || '8', 10)
+  };
+}
+
+async function updateReminderSettings(state, changes) {
+  const saved = state.get('reminders', {});
+  await state.set('reminders', { ...saved, ...changes });
+  return getReminderSettings(state);
+}
+
+function formatReminderLine(task) {
+  let line = `• ${itemLabel(task)}`;
+  if (task.person) line += ` (${task.person})`;
+  if (task.location) line += ` @${task.location}`;
+  if (task.time) line += ` um ${task.time}`;
+  return line;
+}
+
+// Send due and overdue reminders that haven't been sent yet. Sent reminders
+// are remembered per task ID and due date, so restarts don't repeat them.
+async function checkReminders({ getTasks, send, state, now = new Date() }) {
+  const { chatId, hour } = getReminderSettings(state);
+  if (!chatId || now.getHours() < hour) return;
+
+  const today = formatDate(now);
+  const tasks = (await getTasks()).filter(t => t.status !== 'done' && isIsoDate(t.when));
+  const sent = state.get('sentReminders', {});
+
+  const dueKey = t => `due:${t.id}:${t.when}`;
+  const overdueKey = t => `overdue:${t.id}:${t.when}`;
+
+  const due = tasks.filter(t => t.when === today && !sent[dueKey(t)]);
+  const overdue = tasks.filter(t => t.when < today && !sent[overdueKey(t)]);
+
+  if (due.length > 0) {
+    await send(chatId, `⏰ Heute fällig:\n${due.map(formatReminderLine).join('\n')}`);
+    due.forEach(t => { sent[dueKey(t)] = today; });
+  }
+
+  if (overdue.length > 0) {
+    const lines = overdue.map(t => `${formatReminderLine(t)} - seit ${t.when}`);
+    await send(chatId, `⚠️ Noch nicht erledigt:\n${lines.join('\n')}`);
+    overdue.forEach(t => { sent[overdueKey(t)] = today; });
+  }
+
+  // Forget reminders of tasks that are done, deleted or rescheduled
+  const activeKeys = new Set(tasks.flatMap(t => [dueKey(t), overdueKey(t)]));
+  const remaining = {};
+  Object.keys(sent).forEach(key => {
+    if (activeKeys.has(key)) remaining[key] = sent[key];
+  });
+  await state.set('sentReminders', remaining);
+}
+
+function startReminderScheduler(options) {
+  let running = false;
+
+  const run = async () => {
+    if (running) return; // Previous scan still talking to the store
+    running = true;
+    try {
+      // clock: current wall-clock time of the household (see nowIn)
+      await checkReminders({ ...options, now: options.clock ? options.clock() : new Date() });
+    } catch (error) {
+      console.error('Reminder error:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  return setInterval(run, CHECK_INTERVAL);
+}
+
+module.exports = {
+  getReminderSettings,
+  updateReminderSettings,
+  startReminderScheduler
+};
@@ -0,0 +1,86 @@
+// rotation.js - Shared chores that take turns ("Müll rausbringen abwechselnd")
+//
+// The rotation column (Q) lists the members in order: "Moana, Jeremy" takes
+// turns round robin, "fair: Moana, Jeremy" gives the next occurrence to
+// whoever completed the fewest tasks recently. The task's person is always
+// whoever's turn it is.
+const { dayIn } = require('./dates');
+const { withoutChecklists } = require('./subtasks');
+
+// Completions that count for "fair" rotations
+const FAIR_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ROTATION_WORDS = /\b(abwechselnd|im wechsel|reihum|rotierend|rotieren|rotation|turns?|alternating)\b/;
+const FAIR_WORDS = /\b(fair|gerecht|wer am wenigsten|fewest)\b/;
+const NO_ROTATION = /^(keine?|keine rotation|kein wechsel|nicht (?:mehr )?abwechselnd|aus|off|none)$/;
+
+// { fair, members } from a stored value; null for tasks without rotation
+function readRotation(value) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  const fair = /^fair\s*:/i.test(text);
+  const members = text.replace(/^fair\s*:/i, '').split(',').map(name => name.trim()).filter(Boolean);
+  return members.length > 0 ? { fair, members } : null;
+}
+
+function writeRotation({ fair, members }) {
+  return `${fair ? 'fair: ' : ''}${members.join(', ')}`;
+}
+
+// Stored value from what a user or the AI said: "abwechselnd", "reihum
+// zwischen Moana und Jeremy", "fair", "Moana, Jeremy". All members take part
+// unless at least two are named. '' removes the rotation, null means the
+// text isn't a rotation.
+function parseRotation(text, household) {
+  const lower = String(text || '').trim().toLowerCase();
+  if (NO_ROTATION.test(lower)) return '';
+
+  const members = [...new Set(lower
+    .split(/[\s,;:+&/]+/)
+    .map(word => household.resolveName(word))
+    .filter(Boolean))];
+  const fair = FAIR_WORDS.test(lower);
+  if (!ROTATION_WORDS.test(lower) && !fair && members.length < 2) return null;
+
+  return writeRotation({ fair, members: members.length >= 2 ? members : household.names });
+}
+
+// "Moana → Jeremy" or "fair zwischen Moana und Jeremy"
+function describeRotation(value) {
+  const rotation = readRotation(value);
+  if (!rotation) return '';
+  if (!rotation.fair) return rotation.members.join(' → ');
+  const last = rotation.members[rotation.members.length - 1];
+  return `fair zwischen ${rotation.members.slice(0, -1).join(', ')} und ${last}`;
+}
+
+// Whose turn comes after `current` (null: who starts). Round robin takes the
+// next member in the list; fair takes the member with the fewest completed
+// tasks in the last FAIR_DAYS, ties in round-robin order. `resolve` maps a
+// completedBy value to a member name.
+function nextTurn(value, current, tasks = [], { resolve = name => name, timeZone = null, now = new Date() } = {}) {
+  const rotation = readRotation(value);
+  if (!rotation) return null;
+
+  const { members } = rotation;
+  const start = members.indexOf(current) + 1;
+  const order = members.map((member, index) => members[(start + index) % members.length]);
+  if (!rotation.fair) return order[0];
+
+  const since = dayIn(now.getTime() - (FAIR_DAYS - 1) * DAY_MS, timeZone);
+  const counts = new Map(members.map(member => [member, 0]));
+  withoutChecklists(tasks).forEach(task => {
+    if (task.status !== 'done' || !task.completedAt || dayIn(task.completedAt, timeZone) < since) return;
+    const by = resolve(task.completedBy);
+    if (counts.has(by)) counts.set(by, counts.get(by) + 1);
+  });
+  return order.reduce((best, member) => (counts.get(member) < counts.get(best) ? member : best));
+}
+
+module.exports = {
+  readRotation,
+  parseRotation,
+  describeRotation,
+  nextTurn
+};
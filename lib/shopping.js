@@ -0,0 +1,137 @@
+// shopping.js - Quantities, units and stores of shopping items
+//
+// Shopping items are tasks with category "shopping" and optional quantity/unit
+// columns: "2x Hafermilch" → { task: 'Hafermilch', quantity: 2, unit: '' },
+// "500g Mehl" → { task: 'Mehl', quantity: 500, unit: 'g' }.
+
+// Canonical unit → spellings; plural for counted units
+const UNITS = {
+  g: ['g', 'gr', 'gramm'],
+  kg: ['kg', 'kilo', 'kilogramm'],
+  ml: ['ml', 'milliliter'],
+  l: ['l', 'liter'],
+  Stück: ['stück', 'stk', 'st'],
+  Packung: ['packung', 'packungen', 'packs', 'pack', 'pck', 'pkg'],
+  Flasche: ['flasche', 'flaschen'],
+  Dose: ['dose', 'dosen'],
+  Glas: ['glas', 'gläser'],
+  Tüte: ['tüte', 'tüten'],
+  Becher: ['becher'],
+  Bund: ['bund'],
+  Beutel: ['beutel'],
+  Rolle: ['rolle', 'rollen'],
+  Kiste: ['kiste', 'kisten']
+};
+const PLURALS = { Packung: 'Packungen', Flasche: 'Flaschen', Dose: 'Dosen', Glas: 'Gläser', Tüte: 'Tüten', Rolle: 'Rollen', Kiste: 'Kisten' };
+
+// Units that convert into each other (base unit first)
+const MEASURES = [
+  { base: 'g', large: 'kg' },
+  { base: 'ml', large: 'l' }
+];
+
+const UNIT_LOOKUP = new Map();
+Object.entries(UNITS).forEach(([unit, spellings]) => spellings.forEach(spelling => UNIT_LOOKUP.set(spelling, unit)));
+const UNIT_PATTERN = [...UNIT_LOOKUP.keys()].sort((a, b) => b.length - a.length).join('|');
+const NUMBER = '(\\d+(?:[.,]\\d+)?)';
+
+function toNumber(text) {
+  return parseFloat(String(text).replace(',', '.'));
+}
+
+// Quantity and unit at the start or end of an item. A bare number ("2 Milch")
+// only counts for shopping items (`bare`), so "3 Bewerbungen schreiben" stays
+// a task.
+function parseQuantity(text, { bare = false } = {}) {
+  const input = String(text || '').trim();
+
+  // 2x Hafermilch
+  let match = input.match(new RegExp(`^${NUMBER}\\s*x\\s+(.+)$`, 'i'));
+  if (match) return { name: match[2].trim(), quantity: toNumber(match[1]), unit: '' };
+
+  // Hafermilch x2 / Hafermilch 2x
+  match = input.match(new RegExp(`^(.+?)\\s+(?:x\\s*${NUMBER}|${NUMBER}\\s*x)$`, 'i'));
+  if (match) return { name: match[1].trim(), quantity: toNumber(match[2] || match[3]), unit: '' };
+
+  // 500g Mehl / 1,5 l Milch / 3 Packungen Nudeln
+  match = input.match(new RegExp(`^${NUMBER}\\s*(${UNIT_PATTERN})\\.?\\s+(.+)$`, 'i'));
+  if (match) return { name: match[3].trim(), quantity: toNumber(match[1]), unit: UNIT_LOOKUP.get(match[2].toLowerCase()) };
+
+  // 2 Hafermilch
+  match = bare && input.match(new RegExp(`^${NUMBER}\\s+(.+)$`));
+  if (match) return { name: match[2].trim(), quantity: toNumber(match[1]), unit: '' };
+
+  return { name: input, quantity: null, unit: '' };
+}
+
+function formatNumber(value) {
+  return String(Math.round(value * 100) / 100).replace('.', ',');
+}
+
+// "2x", "500 g", "1,5 kg", "3 Packungen"; '' without quantity
+function formatQuantity(quantity, unit = '') {
+  let value = toNumber(quantity);
+  if (!value) return '';
+  let shown = unit || '';
+  const measure = MEASURES.find(m => m.base === shown);
+  if (measure && value >= 1000) {
+    value /= 1000;
+    shown = measure.large;
+  }
+  if (!shown) return `${formatNumber(value)}x`;
+  return `${formatNumber(value)} ${value !== 1 && PLURALS[shown] ? PLURALS[shown] : shown}`;
+}
+
+// "2x Hafermilch"; a single piece is just the name
+function itemLabel(task) {
+  const quantity = toNumber(task.quantity);
+  if (!quantity || (quantity === 1 && !task.unit)) return task.task;
+  return `${formatQuantity(task.quantity, task.unit)} ${task.task}`;
+}
+
+// Amount in the base unit of its measure ("1 kg" → 1000 g)
+function toBase(quantity, unit) {
+  const value = toNumber(quantity) || 1;
+  const measure = MEASURES.find(m => m.large === unit);
+  return measure ? { value: value * 1000, unit: measure.base } : { value, unit: unit || '' };
+}
+
+// Sum of two amounts ({ quantity, unit }), or null if the units don't fit
+// ("Milch" + "Milch" = 2x, "500 g" + "1 kg" = 1500 g, "Packung" + "g" = null)
+function mergeQuantities(a, b) {
+  const first = toBase(a.quantity, a.unit);
+  const second = toBase(b.quantity, b.unit);
+  if (first.unit !== second.unit) return null;
+  return { quantity: first.value + second.value, unit: first.unit };
+}
+
+function locationKey(location) {
+  return (location || '').trim().toLowerCase();
+}
+
+function sameLocation(a, b) {
+  return locationKey(a) === locationKey(b);
+}
+
+// Items by store: named stores alphabetically, items without store last
+function groupByStore(tasks) {
+  const groups = new Map();
+  tasks.forEach(task => {
+    const key = locationKey(task.location);
+    if (!groups.has(key)) groups.set(key, { location: (task.location || '').trim(), tasks: [] });
+    groups.get(key).tasks.push(task);
+  });
+  return [...groups.entries()]
+    .sort(([a], [b]) => (a === '') - (b === '') || a.localeCompare(b))
+    .map(([, group]) => group);
+}
+
+module.exports = {
+  parseQuantity,
+  formatQuantity,
+  itemLabel,
+  mergeQuantities,
+  locationKey,
+  sameLocation,
+  groupByStore
+};
@@ -0,0 +1,42 @@
+// state.js - Small persistent key/value store for bot state (JSON file)
+const fs = require('fs');
+const path = require('path');
+
+function createStateStore(filePath) {
+  let data = {};
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('❌ State file error:', error.message);
+    }
+  }
+
+  // Serialize writes so the file is never written by two saves at once
+  let queue = Promise.resolve();
+  function save() {
+    const snapshot = JSON.stringify(data, null, 2);
+    queue = queue.then(async () => {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      await fs.promises.writeFile(tmpPath, snapshot);
+      await fs.promises.rename(tmpPath, filePath);
+    }).catch(error => {
+      console.error('❌ State save error:', error.message);
+    });
+    return queue;
+  }
+
+  return {
+    get(key, defaultValue = null) {
+      return data.hasOwnProperty(key) ? data[key] : defaultValue;
+    },
+
+    async set(key, value) {
+      data[key] = value;
+      await save();
+    }
+  };
+}
+
+module.exports = { createStateStore };
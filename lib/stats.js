@@ -0,0 +1,113 @@
+// stats.js - Who got what done: counts per person, share of the shared
+// tasks, streaks and time from adding to completing a task.
+//
+// Completed tasks carry completedAt (timestamp) and completedBy (member name,
+// column P); tasks completed before completedBy existed count as "unknown".
+const { toDate, formatDate, dayIn } = require('./dates');
+const { withoutChecklists } = require('./subtasks');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PERIODS = {
+  heute: { days: 1, label: 'heute' },
+  woche: { days: 7, label: 'letzte 7 Tage' },
+  monat: { days: 30, label: 'letzte 30 Tage' },
+  jahr: { days: 365, label: 'letztes Jahr' },
+  alles: { days: null, label: 'seit Beginn' }
+};
+const PERIOD_WORDS = {
+  heute: 'heute', today: 'heute',
+  woche: 'woche', 'diese woche': 'woche', week: 'woche', 'this week': 'woche',
+  monat: 'monat', 'diesen monat': 'monat', month: 'monat', 'this month': 'monat',
+  jahr: 'jahr', 'dieses jahr': 'jahr', year: 'jahr',
+  alles: 'alles', gesamt: 'alles', insgesamt: 'alles', immer: 'alles', all: 'alles'
+};
+
+// Period from "woche", "monat", "14 Tage", "3 Wochen", "alles"; the last 7
+// days without text, null if the text isn't a period
+function parsePeriod(text) {
+  const value = String(text || '').trim().toLowerCase();
+  if (!value) return PERIODS.woche;
+  if (PERIOD_WORDS[value]) return PERIODS[PERIOD_WORDS[value]];
+
+  const match = value.match(/^(?:letzte[n]?\s+|last\s+)?(\d+)\s*(tage|tagen|tag|days|day|wochen|woche|weeks|week)$/);
+  if (!match) return null;
+  const days = parseInt(match[1], 10) * (/^(tag|day)/.test(match[2]) ? 1 : 7);
+  return days > 0 ? { days, label: `letzte ${days} Tage` } : null;
+}
+
+function addDays(day, days) {
+  const date = toDate(day);
+  date.setDate(date.getDate() + days);
+  return formatDate(date);
+}
+
+function daysBetween(from, to) {
+  return Math.round((toDate(to) - toDate(from)) / DAY_MS);
+}
+
+// Days from adding (column A) to completing; null without usable dates
+function completionDays(task, timeZone) {
+  if (!toDate(task.date)) return null;
+  return Math.max(0, daysBetween(task.date, dayIn(task.completedAt, timeZone)));
+}
+
+function average(values) {
+  const known = values.filter(value => value !== null);
+  return known.length > 0 ? known.reduce((sum, value) => sum + value, 0) / known.length : null;
+}
+
+// Days in a row with at least one completed task, up to today (or up to
+// yesterday, so the streak doesn't break before the day is over)
+function currentStreak(days, today) {
+  const set = new Set(days);
+  let day = set.has(today) ? today : addDays(today, -1);
+  let streak = 0;
+  while (set.has(day)) {
+    streak++;
+    day = addDays(day, -1);
+  }
+  return streak;
+}
+
+// Statistics for the period ending today (YYYY-MM-DD in the household's
+// timezone); `days` null means all time
+function computeStats(tasks, { household, timeZone = null, today, days = 7 }) {
+  const firstDay = days ? addDays(today, -(days - 1)) : null;
+  const completer = task => household.resolveName(task.completedBy || '') || null;
+
+  const done = withoutChecklists(tasks)
+    .filter(t => t.status === 'done' && t.completedAt && !isNaN(new Date(t.completedAt)))
+    .map(t => ({ task: t, day: dayIn(t.completedAt, timeZone), by: completer(t) }));
+  const inPeriod = done.filter(entry => !firstDay || entry.day >= firstDay);
+  // Chores that take turns are shared too, even though one person is assigned
+  const isShared = entry => household.isShared(entry.task.person) || Boolean(entry.task.rotation);
+  const sharedTotal = inPeriod.filter(isShared).length;
+
+  const people = household.names.map(name => {
+    const mine = inPeriod.filter(entry => entry.by === name);
+    const shared = mine.filter(isShared).length;
+    return {
+      name,
+      count: mine.length,
+      shared,
+      sharedShare: sharedTotal > 0 ? shared / sharedTotal : null,
+      streak: currentStreak(done.filter(entry => entry.by === name).map(entry => entry.day), today),
+      averageDays: average(mine.map(entry => completionDays(entry.task, timeZone)))
+    };
+  });
+
+  return {
+    firstDay,
+    total: inPeriod.length,
+    sharedTotal,
+    unknown: inPeriod.filter(entry => !entry.by).length,
+    averageDays: average(inPeriod.map(entry => completionDays(entry.task, timeZone))),
+    people
+  };
+}
+
+module.exports = {
+  parsePeriod,
+  computeStats
+};
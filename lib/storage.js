@@ -0,0 +1,316 @@
+// storage.js - Task storage backends (Google Sheets or local JSON file)
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { google } = require('googleapis');
+
+// Column layout of the task sheet (A:R). New columns are appended at the end
+// so existing sheets keep working.
+const COLUMNS = ['date', 'person', 'task', 'location', 'when', 'category', 'status', 'id', 'recurrence', 'completedAt', 'time', 'quantity', 'unit', 'duration', 'priority', 'completedBy', 'rotation', 'parent'];
+const HEADERS = ['Datum', 'Person', 'Aufgabe', 'Ort', 'Wann', 'Kategorie', 'Status', 'ID', 'Wiederholung', 'Erledigt am', 'Uhrzeit', 'Menge', 'Einheit', 'Dauer (Min)', 'Priorität', 'Erledigt von', 'Wechsel', 'Teil von'];
+const LAST_COLUMN = columnLetter(COLUMNS.length - 1);
+const ID_COLUMN = columnLetter(COLUMNS.indexOf('id'));
+
+function columnLetter(index) {
+  return String.fromCharCode('A'.charCodeAt(0) + index);
+}
+
+// Short random ID that stays with a task for its whole life
+function createTaskId() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+// Defaults for columns that may be empty in the sheet
+const COLUMN_DEFAULTS = {
+  category: 'general',
+  status: 'pending'
+};
+
+function rowToTask(row) {
+  const task = {};
+  COLUMNS.forEach((column, i) => {
+    task[column] = row[i] || COLUMN_DEFAULTS[column] || '';
+  });
+  return task;
+}
+
+function taskToRow(task) {
+  return COLUMNS.map(column => task[column] || COLUMN_DEFAULTS[column] || '');
+}
+
+// Copy only the persisted columns (drops runtime fields)
+function pickColumns(task) {
+  const picked = {};
+  COLUMNS.forEach(column => {
+    picked[column] = task[column] || COLUMN_DEFAULTS[column] || '';
+  });
+  return picked;
+}
+
+// Google Sheets backend. Rows are located by their ID right before every
+// write, so rows moved, inserted or deleted by hand don't hit the wrong task.
+// Without a sheet name the first tab is used; a named tab is created on
+// first use (one tab per household).
+function createSheetsStore(sheets, spreadsheetId, sheetName = null) {
+  let sheetId = null;
+  const prefix = sheetName ? `'${sheetName.replace(/'/g, "''")}'!` : '';
+
+  // Numeric ID of the tab, needed to delete rows
+  async function getSheetId() {
+    if (sheetId !== null) return sheetId;
+
+    const response = await sheets.spreadsheets.get({ spreadsheetId });
+    if (!sheetName) {
+      sheetId = response.data.sheets[0].properties.sheetId;
+      return sheetId;
+    }
+
+    const existing = response.data.sheets.find(sheet => sheet.properties.title === sheetName);
+    if (existing) {
+      sheetId = existing.properties.sheetId;
+      return sheetId;
+    }
+
+    const created = await sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      resource: { requests: [{ addSheet: { properties: { title: sheetName } } }] }
+    });
+    sheetId = created.data.replies[0].addSheet.properties.sheetId;
+    await sheets.spreadsheets.values.update({
+      spreadsheetId,
+      range: `${prefix}A1:${LAST_COLUMN}1`,
+      valueInputOption: 'RAW',
+      resource: { values: [HEADERS] }
+    });
+    return sheetId;
+  }
+
+  // Find the current row number of a task ID
+  async function findRow(id) {
+    const response = await sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range: `${prefix}${ID_COLUMN}2:${ID_COLUMN}`,
+    });
+    const ids = response.data.values || [];
+    const index = ids.findIndex(value => value && value[0] === id);
+    if (index === -1) {
+      throw new Error(`Aufgabe ${id} nicht gefunden`);
+    }
+    return index + 2;
+  }
+
+  // Give rows without an ID (e.g. typed into the sheet by hand) a new one
+  async function assignMissingIds(rows) {
+    const data = [];
+    rows.forEach((row, index) => {
+      if (row.task.trim() !== '' && !row.id) {
+        row.id = createTaskId();
+        data.push({ range: `${prefix}${ID_COLUMN}${index + 2}`, values: [[row.id]] });
+      }
+    });
+
+    if (data.length > 0) {
+      data.push({ range: `${prefix}${ID_COLUMN}1`, values: [['ID']] });
+      await sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId,
+        resource: { valueInputOption: 'RAW', data }
+      });
+    }
+  }
+
+  return {
+    name: 'sheets',
+    description: sheetName
+      ? `Google Sheet, Tab "${sheetName}"`
+      : (process.env.GOOGLE_SHEET_URL || 'Google Sheet'),
+
+    async getAll() {
+      if (sheetName) await getSheetId(); // Make sure the tab exists
+      const response = await sheets.spreadsheets.values.get({
+        spreadsheetId,
+        range: `${prefix}A2:${LAST_COLUMN}1000`, // Get more rows to ensure we don't miss any
+      });
+
+      const rows = (response.data.values || []).map(row => rowToTask(row || []));
+      await assignMissingIds(rows);
+
+      // Skip completely empty rows or rows with only partial data
+      return rows.filter(task => task.task.trim() !== '');
+    },
+
+    async add(tasks) {
+      const newTasks = tasks.map(task => ({ ...task, id: task.id || createTaskId() }));
+
+      // Append after the last row of the table, never over existing rows
+      await sheets.spreadsheets.values.append({
+        spreadsheetId,
+        range: `${prefix}A:${LAST_COLUMN}`,
+        valueInputOption: 'RAW',
+        insertDataOption: 'INSERT_ROWS',
+        resource: { values: newTasks.map(taskToRow) }
+      });
+
+      return newTasks;
+    },
+
+    async update(task) {
+      const row = await findRow(task.id);
+      await sheets.spreadsheets.values.update({
+        spreadsheetId,
+        range: `${prefix}A${row}:${LAST_COLUMN}${row}`,
+        valueInputOption: 'RAW',
+        resource: { values: [taskToRow(task)] }
+      });
+    },
+
+    async remove(task) {
+      const row = await findRow(task.id);
+      await sheets.spreadsheets.batchUpdate({
+        spreadsheetId,
+        resource: {
+          requests: [{
+            deleteDimension: {
+              range: {
+                sheetId: await getSheetId(),
+                dimension: 'ROWS',
+                startIndex: row - 1,
+                endIndex: row
+              }
+            }
+          }]
+        }
+      });
+    }
+  };
+}
+
+// Local JSON file backend - works offline and without a Google account
+function createFileStore(filePath) {
+  // Serialize file access so concurrent messages don't overwrite each other
+  let queue = Promise.resolve();
+  function withLock(fn) {
+    const result = queue.then(fn);
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  async function readRows() {
+    try {
+      const content = await fs.promises.readFile(filePath, 'utf8');
+      return JSON.parse(content).rows || [];
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async function writeRows(rows) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify({ rows }, null, 2));
+    await fs.promises.rename(tmpPath, filePath);
+  }
+
+  // Older files may contain cleared rows (null) or rows without an ID;
+  // clean them up once and persist the new IDs
+  async function loadRows() {
+    const rows = await readRows();
+    if (rows.every(row => row && row.id)) return rows;
+
+    const migrated = rows
+      .filter(row => row && (row.task || '').trim() !== '')
+      .map(row => ({ ...pickColumns(row), id: row.id || createTaskId() }));
+    await writeRows(migrated);
+    return migrated;
+  }
+
+  function findIndex(rows, id) {
+    const index = rows.findIndex(row => row.id === id);
+    if (index === -1) {
+      throw new Error(`Aufgabe ${id} nicht gefunden`);
+    }
+    return index;
+  }
+
+  return {
+    name: 'file',
+    description: filePath,
+
+    getAll: () => withLock(loadRows),
+
+    add: (tasks) => withLock(async () => {
+      const rows = await loadRows();
+      const newTasks = tasks.map(task => ({ ...pickColumns(task), id: task.id || createTaskId() }));
+      rows.push(...newTasks);
+      await writeRows(rows);
+      return newTasks;
+    }),
+
+    update: (task) => withLock(async () => {
+      const rows = await loadRows();
+      rows[findIndex(rows, task.id)] = pickColumns(task);
+      await writeRows(rows);
+    }),
+
+    remove: (task) => withLock(async () => {
+      const rows = await loadRows();
+      rows.splice(findIndex(rows, task.id), 1);
+      await writeRows(rows);
+    })
+  };
+}
+
+// Shared Google Sheets client (one per process)
+let sheetsClient;
+function getSheetsClient() {
+  if (sheetsClient !== undefined) return sheetsClient;
+  sheetsClient = null;
+
+  // Google Sheets setup with error handling
+  try {
+    const credentials = JSON.parse(process.env.GOOGLE_CREDENTIALS || '{}');
+    if (credentials.client_email) {
+      const auth = new google.auth.GoogleAuth({
+        credentials: credentials,
+        scopes: ['https://www.googleapis.com/auth/spreadsheets']
+      });
+      sheetsClient = google.sheets({ version: 'v4', auth });
+      console.log('✅ Google Sheets initialized');
+    } else {
+      console.error('❌ Invalid Google credentials');
+    }
+  } catch (error) {
+    console.error('❌ Google Sheets init error:', error.message);
+  }
+
+  return sheetsClient;
+}
+
+// Pick the backend from TASK_STORE ('sheets' or 'file', default 'sheets').
+// Options override the environment, e.g. a household's own file or sheet tab:
+//   { type, filePath, spreadsheetId, sheetName }
+function createStore(options = {}) {
+  const type = (options.type || process.env.TASK_STORE || 'sheets').toLowerCase().trim();
+
+  if (type === 'file') {
+    const filePath = path.resolve(options.filePath || process.env.TASK_STORE_PATH || 'data/tasks.json');
+    console.log(`✅ Local task file initialized (${filePath})`);
+    return createFileStore(filePath);
+  }
+
+  if (type !== 'sheets') {
+    console.error(`❌ Unknown TASK_STORE "${type}" - use "sheets" or "file"`);
+    return null;
+  }
+
+  const sheets = getSheetsClient();
+  if (!sheets) return null;
+  return createSheetsStore(sheets, options.spreadsheetId || process.env.GOOGLE_SHEET_ID, options.sheetName || null);
+}
+
+module.exports = {
+  createStore,
+  createTaskId,
+  createSheetsStore,
+  createFileStore
+};
@@ -0,0 +1,60 @@
+// subtasks.js - Checklists inside a task ("Party: Kuchen, Deko, Einladungen")
+//
+// A step is an ordinary task row whose parent column (R) holds the ID of the
+// task it belongs to. Steps are listed beneath their task with its progress
+// (3/5); the task is done once all of its steps are.
+
+function stepsOf(tasks, task) {
+  return task.id ? tasks.filter(t => t.parent === task.id) : [];
+}
+
+// { done, total } of a task's steps; null for tasks without steps
+function stepProgress(tasks, task) {
+  const steps = stepsOf(tasks, task);
+  if (steps.length === 0) return null;
+  return { done: steps.filter(t => t.status === 'done').length, total: steps.length };
+}
+
+function formatProgress(progress) {
+  return progress ? `${progress.done}/${progress.total}` : '';
+}
+
+// Splits a list into top-level entries and the steps of the tasks in it:
+// { top, steps } with steps as a Map of task ID → steps. Steps whose task
+// isn't in the list (filtered out or done) stay top-level.
+function nestSteps(tasks) {
+  const ids = new Set(tasks.map(t => t.id));
+  const steps = new Map();
+  const top = [];
+  tasks.forEach(task => {
+    if (!task.parent || !ids.has(task.parent)) {
+      top.push(task);
+      return;
+    }
+    if (!steps.has(task.parent)) steps.set(task.parent, []);
+    steps.get(task.parent).push(task);
+  });
+  return { top, steps };
+}
+
+// Tasks without those that have steps: a checklist counts as the steps
+// done, not again when its task is completed along with the last one
+function withoutChecklists(tasks) {
+  const parents = new Set(tasks.map(t => t.parent).filter(Boolean));
+  return tasks.filter(t => !parents.has(t.id));
+}
+
+// Step names from "Kuchen, Deko und Einladungen" (or a list from the AI)
+function splitSteps(items) {
+  const list = Array.isArray(items) ? items : String(items || '').split(/\s*(?:,|;|\n|\bund\b|\band\b|&)\s*/i);
+  return list.map(item => String(item || '').trim().replace(/[.!]+$/, '')).filter(Boolean);
+}
+
+module.exports = {
+  stepsOf,
+  stepProgress,
+  formatProgress,
+  nestSteps,
+  withoutChecklists,
+  splitSteps
+};
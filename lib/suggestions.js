@@ -0,0 +1,112 @@
+// suggestions.js - Effort estimates, priorities and "what fits into 20 minutes?"
+//
+// Tasks carry an estimated duration in minutes (column N) and a priority
+// (column O: "high", "normal" or "low"). The AI guesses both when a task is
+// added; users can change them ("Ändere Bad putzen auf 45 Minuten").
+
+const PRIORITIES = ['high', 'normal', 'low'];
+const PRIORITY_LABELS = { high: 'hoch', normal: 'normal', low: 'niedrig' };
+const PRIORITY_WORDS = {
+  high: ['high', 'hoch', 'wichtig', 'dringend', 'urgent', 'important'],
+  normal: ['normal', 'mittel', 'medium'],
+  low: ['low', 'niedrig', 'unwichtig', 'gering', 'irgendwann']
+};
+
+// Estimate for tasks without one
+const DEFAULT_MINUTES = { shopping: 30 };
+const FALLBACK_MINUTES = 15;
+// Suggestions without a time limit
+const MAX_SUGGESTIONS = 5;
+
+const NUMBER_WORDS = { eine: 1, einer: 1, ein: 1, einen: 1, zwei: 2, drei: 3, vier: 4, fünf: 5, zehn: 10, zwanzig: 20, dreißig: 30, a: 1, an: 1, one: 1, two: 2 };
+
+// Minutes from "20 Minuten", "1,5 Stunden", "eine halbe Stunde", "1h", "90";
+// null if the text isn't a duration
+function parseDuration(value) {
+  if (typeof value === 'number') return value > 0 ? Math.round(value) : null;
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) return null;
+  if (/^\d+$/.test(text)) return parseInt(text, 10) || null;
+
+  if (/^(?:eine[rn]?\s+)?(?:halben?\s+stunde|half an hour)$/.test(text)) return 30;
+  if (/^(?:eine\s+)?(?:viertelstunde|viertel\s+stunde|quarter of an hour)$/.test(text)) return 15;
+  if (/^(?:eine\s+)?dreiviertelstunde$/.test(text)) return 45;
+
+  const match = text.match(/^(\d+(?:[.,]\d+)?|[a-zäöüß]+)\s*(?:(minuten|minute|min|m)|(stunden|stunde|std|h|hours|hour))\.?$/);
+  if (!match) return null;
+  const amount = /\d/.test(match[1]) ? parseFloat(match[1].replace(',', '.')) : NUMBER_WORDS[match[1]];
+  if (!amount) return null;
+  return Math.round(match[3] ? amount * 60 : amount);
+}
+
+// "20 Min", "1 Std", "1 Std 30 Min"
+function formatDuration(minutes) {
+  const value = parseInt(minutes, 10);
+  if (!value) return '';
+  if (value < 60) return `${value} Min`;
+  const hours = Math.floor(value / 60);
+  const rest = value % 60;
+  return rest ? `${hours} Std ${rest} Min` : `${hours} Std`;
+}
+
+// "high" / "normal" / "low" from English or German words; null if unknown
+function parsePriority(value) {
+  const text = String(value || '').trim().toLowerCase().replace(/^(?:priorität|prio|priority)\s*:?\s*/, '');
+  return PRIORITIES.find(priority => PRIORITY_WORDS[priority].includes(text)) || null;
+}
+
+function estimatedMinutes(task) {
+  return parseInt(task.duration, 10) || DEFAULT_MINUTES[task.category] || FALLBACK_MINUTES;
+}
+
+// Tasks that can be done at a place: "zuhause" means tasks without a place,
+// "unterwegs" tasks with one, anything else is a store or place name
+function fitsLocation(task, location) {
+  const wanted = String(location || '').trim().toLowerCase();
+  if (!wanted) return true;
+  const place = (task.location || '').trim().toLowerCase();
+  if (/^(zuhause|zu hause|daheim|home)$/.test(wanted)) {
+    return !place || /^(zuhause|zu hause|daheim|home)$/.test(place);
+  }
+  if (/^(unterwegs|draußen|in der stadt|out)$/.test(wanted)) {
+    return Boolean(place) || task.category === 'shopping';
+  }
+  return place === wanted;
+}
+
+// Higher priority first, then earlier due date (undated last), then shorter
+function rankTasks(tasks) {
+  const rank = task => PRIORITIES.indexOf(parsePriority(task.priority) || 'normal');
+  return [...tasks].sort((a, b) =>
+    rank(a) - rank(b) ||
+    (a.when || '9999').localeCompare(b.when || '9999') ||
+    (a.time || '').localeCompare(b.time || '') ||
+    estimatedMinutes(a) - estimatedMinutes(b)
+  );
+}
+
+// Open tasks for the time and place, in ranked order: as many as fit into
+// `minutes` (all of them without a limit, up to MAX_SUGGESTIONS).
+// Returns { picked, totalMinutes, candidates }.
+function pickTasks(tasks, { minutes = null, location = null } = {}) {
+  const candidates = rankTasks(tasks.filter(t => t.status !== 'done' && fitsLocation(t, location)));
+  const picked = [];
+  let totalMinutes = 0;
+  for (const task of candidates) {
+    const needed = estimatedMinutes(task);
+    if (minutes ? totalMinutes + needed > minutes : picked.length >= MAX_SUGGESTIONS) continue;
+    picked.push(task);
+    totalMinutes += needed;
+  }
+  return { picked, totalMinutes, candidates };
+}
+
+module.exports = {
+  PRIORITIES,
+  PRIORITY_LABELS,
+  parseDuration,
+  formatDuration,
+  parsePriority,
+  estimatedMinutes,
+  pickTasks
+};
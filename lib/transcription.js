@@ -0,0 +1,96 @@
+// transcription.js - Speech to text for voice messages
+//
+// Backends (TRANSCRIBE_PROVIDER):
+// - "openai": Whisper API, or any OpenAI-compatible server with
+//   TRANSCRIBE_BASE_URL (e.g. a local faster-whisper server)
+// - "command": a local program such as whisper.cpp. TRANSCRIBE_COMMAND runs in
+//   a shell, {file} is replaced by the audio file (Telegram voice notes are
+//   OGG/Opus); the transcript is read from stdout.
+// Every transcriber has transcribe(filePath) → text.
+const fs = require('fs');
+const { execFile } = require('child_process');
+const OpenAI = require('openai');
+
+const DEFAULT_MODEL = 'whisper-1';
+const COMMAND_TIMEOUT_MS = 2 * 60 * 1000;
+
+function createOpenAITranscriber({ apiKey, baseURL, model, language }) {
+  const client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+
+  return {
+    name: 'openai',
+    description: baseURL ? `Whisper (${baseURL})` : `OpenAI ${model}`,
+
+    async transcribe(filePath) {
+      const result = await client.audio.transcriptions.create({
+        file: fs.createReadStream(filePath),
+        model,
+        ...(language ? { language } : {})
+      });
+      return (result.text || '').trim();
+    }
+  };
+}
+
+// The file path goes in as $VOICE_FILE, so it never needs shell quoting
+function createCommandTranscriber(command) {
+  return {
+    name: 'command',
+    description: `Befehl (${command.split(' ')[0]})`,
+
+    transcribe(filePath) {
+      const script = command.replace(/\{file\}/g, '"$VOICE_FILE"');
+      return new Promise((resolve, reject) => {
+        execFile('/bin/sh', ['-c', script], {
+          env: { ...process.env, VOICE_FILE: filePath },
+          timeout: COMMAND_TIMEOUT_MS,
+          maxBuffer: 1024 * 1024
+        }, (error, stdout, stderr) => {
+          if (error) {
+            reject(new Error(`Transkription fehlgeschlagen: ${(stderr || error.message).trim().split('\n').pop()}`));
+            return;
+          }
+          resolve(stdout.split('\n').map(line => line.trim()).filter(Boolean).join(' '));
+        });
+      });
+    }
+  };
+}
+
+// Transcriber from options or the environment (TRANSCRIBE_PROVIDER,
+// TRANSCRIBE_COMMAND, TRANSCRIBE_MODEL, TRANSCRIBE_BASE_URL,
+// TRANSCRIBE_LANGUAGE, OPENAI_API_KEY); null if voice messages are off
+function createTranscriber(options = {}) {
+  const command = options.command || process.env.TRANSCRIBE_COMMAND || null;
+  const baseURL = options.baseURL || process.env.TRANSCRIBE_BASE_URL || null;
+  const defaultType = command ? 'command' : (process.env.OPENAI_API_KEY || baseURL) ? 'openai' : 'none';
+  const type = (options.type || process.env.TRANSCRIBE_PROVIDER || defaultType).toLowerCase().trim();
+
+  if (type === 'none' || type === 'off') return null;
+
+  if (type === 'command') {
+    if (!command) {
+      console.error('❌ TRANSCRIBE_PROVIDER=command needs TRANSCRIBE_COMMAND');
+      return null;
+    }
+    console.log(`✅ Voice transcription via command (${command.split(' ')[0]})`);
+    return createCommandTranscriber(command);
+  }
+
+  if (type !== 'openai') {
+    console.error(`❌ Unknown TRANSCRIBE_PROVIDER "${type}" - use "openai", "command" or "none"`);
+    return null;
+  }
+
+  const apiKey = options.apiKey || process.env.TRANSCRIBE_API_KEY || process.env.OPENAI_API_KEY || (baseURL ? 'local' : null);
+  if (!apiKey) {
+    console.error('❌ TRANSCRIBE_PROVIDER=openai needs OPENAI_API_KEY');
+    return null;
+  }
+  const model = options.model || process.env.TRANSCRIBE_MODEL || DEFAULT_MODEL;
+  const language = options.language || process.env.TRANSCRIBE_LANGUAGE || 'de';
+  console.log(`✅ Voice transcription via ${baseURL || 'OpenAI'} (${model})`);
+  return createOpenAITranscriber({ apiKey: apiKey.trim(), baseURL, model, language });
+}
+
+module.exports = { createTranscriber };
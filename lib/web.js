@@ -0,0 +1,325 @@
+// web.js - Small web dashboard for the task list
+//
+// Login works with links the bot sends on /web: the link opens a page with a
+// login button (so Telegram's link preview can't use it up), which starts a
+// session cookie for the household of the chat. Pages are plain HTML forms,
+// no JavaScript needed.
+const express = require('express');
+const crypto = require('crypto');
+const { runInHousehold, currentHousehold } = require('./households');
+const { itemLabel } = require('./shopping');
+const { PRIORITIES, PRIORITY_LABELS, formatDuration } = require('./suggestions');
+const { stepProgress, formatProgress } = require('./subtasks');
+
+const LOGIN_LINK_TTL = 15 * 60 * 1000; // Login links work for 15 minutes, once
+const SESSION_TTL = 30 * 24 * 60 * 60 * 1000; // Sessions last 30 days
+const COOKIE_NAME = 'tasks_session';
+const CATEGORIES = ['general', 'both', 'shopping', 'household', 'personal', 'work'];
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function readCookie(req, name) {
+  const cookies = (req.get('Cookie') || '').split(';').map(part => part.trim().split('='));
+  const cookie = cookies.find(([key]) => key === name);
+  return cookie ? decodeURIComponent(cookie.slice(1).join('=')) : null;
+}
+
+// Login links and sessions, saved (hashed) in the global state
+function createWebSessions(state) {
+  // Drop expired entries while saving
+  async function save(key, entries) {
+    const now = Date.now();
+    const remaining = {};
+    Object.entries(entries).forEach(([id, entry]) => {
+      if (entry.expires > now) remaining[id] = entry;
+    });
+    await state.set(key, remaining);
+  }
+
+  return {
+    async createLoginLink(householdId, user) {
+      const token = crypto.randomBytes(24).toString('base64url');
+      const links = state.get('webLogins', {});
+      links[hash(token)] = { householdId, user, expires: Date.now() + LOGIN_LINK_TTL };
+      await save('webLogins', links);
+      return token;
+    },
+
+    findLoginLink(token) {
+      const entry = token ? state.get('webLogins', {})[hash(token)] : null;
+      return entry && entry.expires > Date.now() ? entry : null;
+    },
+
+    // Use up a login link; returns a new session ID or null
+    async login(token) {
+      const entry = this.findLoginLink(token);
+      if (!entry) return null;
+
+      const links = state.get('webLogins', {});
+      delete links[hash(token)];
+      await save('webLogins', links);
+
+      const sessionId = crypto.randomBytes(24).toString('base64url');
+      const sessions = state.get('webSessions', {});
+      sessions[hash(sessionId)] = { householdId: entry.householdId, user: entry.user, expires: Date.now() + SESSION_TTL };
+      await save('webSessions', sessions);
+      return sessionId;
+    },
+
+    find(sessionId) {
+      const entry = sessionId ? state.get('webSessions', {})[hash(sessionId)] : null;
+      return entry && entry.expires > Date.now() ? entry : null;
+    },
+
+    async logout(sessionId) {
+      const sessions = state.get('webSessions', {});
+      delete sessions[hash(sessionId || '')];
+      await save('webSessions', sessions);
+    }
+  };
+}
+
+function page(title, body) {
+  return `<!DOCTYPE html>
+<html lang="de">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: -apple-system, system-ui, sans-serif; max-width: 40rem; margin: 0 auto; padding: 1rem; color: #222; background: #fafafa; }
+  h1 { font-size: 1.4rem; }
+  h2 { font-size: 1rem; margin: 1.5rem 0 .5rem; color: #555; }
+  form.filters { display: flex; flex-wrap: wrap; gap: .5rem; align-items: center; margin-bottom: 1rem; }
+  ul { list-style: none; padding: 0; margin: 0; }
+  li { display: flex; align-items: center; gap: .5rem; background: #fff; border: 1px solid #e5e5e5; border-radius: 8px; padding: .5rem .75rem; margin-bottom: .4rem; }
+  li .text { flex: 1; }
+  li .meta { color: #777; font-size: .85rem; }
+  li.step { margin-left: 2rem; }
+  li form { margin: 0; }
+  button, .button { border: 1px solid #ccc; background: #fff; border-radius: 6px; padding: .3rem .6rem; cursor: pointer; font-size: 1rem; text-decoration: none; color: inherit; }
+  label { display: block; margin: .75rem 0 .25rem; }
+  input[type=text], input[type=number], select { width: 100%; padding: .4rem; font-size: 1rem; box-sizing: border-box; }
+  .filters select { width: auto; }
+  .muted { color: #777; }
+  footer { margin-top: 2rem; display: flex; justify-content: space-between; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+// Back link that keeps the current filters (only paths of the dashboard)
+function safeBack(value) {
+  return typeof value === 'string' && /^\/web(\?|$)/.test(value) ? value : '/web';
+}
+
+// actions: the bot's task functions (listTasks, groupTaskList, formatDue,
+// describeRecurrence, completeFoundTask, updateFoundTask, deleteFoundTask,
+// undoLastAction)
+function createWebRouter({ registry, sessions, actions }) {
+  const router = express.Router();
+  router.use(express.urlencoded({ extended: false }));
+
+  // Login page from the /web link - the button posts the token
+  router.get('/login', (req, res) => {
+    const token = String(req.query.token || '');
+    if (!sessions.findLoginLink(token)) {
+      return res.status(401).send(page('Link abgelaufen', `<h1>🔒 Link abgelaufen</h1>
+<p>Dieser Login-Link ist ungültig oder schon benutzt. Schick dem Bot <b>/web</b> für einen neuen.</p>`));
+    }
+    res.send(page('Anmelden', `<h1>📋 Aufgaben</h1>
+<form method="post" action="/web/login">
+  <input type="hidden" name="token" value="${escapeHtml(token)}">
+  <button type="submit">Anmelden</button>
+</form>`));
+  });
+
+  router.post('/login', async (req, res) => {
+    const sessionId = await sessions.login(String(req.body.token || ''));
+    if (!sessionId) return res.redirect('/web/login');
+    const secure = req.secure || req.get('X-Forwarded-Proto') === 'https' ? '; Secure' : '';
+    res.set('Set-Cookie', `${COOKIE_NAME}=${encodeURIComponent(sessionId)}; Path=/web; HttpOnly; SameSite=Lax; Max-Age=${SESSION_TTL / 1000}${secure}`);
+    res.redirect('/web');
+  });
+
+  // Everything below needs a session; runs in the session's household
+  router.use((req, res, next) => {
+    const session = sessions.find(readCookie(req, COOKIE_NAME));
+    const household = session && registry.all().find(context => context.id === session.householdId);
+    if (!household) {
+      return res.status(401).send(page('Nicht angemeldet', `<h1>🔒 Nicht angemeldet</h1>
+<p>Schick dem Bot <b>/web</b>, um einen Login-Link zu bekommen.</p>`));
+    }
+    if (!household.store) {
+      return res.status(503).send(page('Fehler', '<h1>❌ Kein Aufgabenspeicher konfiguriert</h1>'));
+    }
+    req.webUser = session.user;
+    runInHousehold(household, next);
+  });
+
+  // Run a route and show errors as a page
+  const handle = fn => async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (error) {
+      console.error('Web error:', error);
+      res.status(500).send(page('Fehler', `<h1>❌ Fehler</h1><p>${escapeHtml(error.message)}</p><p><a href="/web">Zurück</a></p>`));
+    }
+  };
+
+  // `all` includes done tasks, for the progress of checklists
+  function renderTask(task, back, showPerson, all = [], isStep = false) {
+    const meta = [];
+    const progress = stepProgress(all, task);
+    if (progress) meta.push(`☑️ ${formatProgress(progress)}`);
+    const parent = !isStep && task.parent && all.find(t => t.id === task.parent);
+    if (parent) meta.push(`für ${escapeHtml(parent.task)}`);
+    if (task.rotation) meta.push(`🔄 ${escapeHtml(task.person)} ist dran`);
+    else if (showPerson) meta.push(`nur ${escapeHtml(task.person)}`);
+    if (task.location) meta.push(`@${escapeHtml(task.location)}`);
+    if (task.when) meta.push(escapeHtml(actions.formatDue(task)));
+    if (task.recurrence) meta.push(`🔁 ${escapeHtml(actions.describeRecurrence(task.recurrence))}`);
+    if (task.duration) meta.push(`⏱️ ${escapeHtml(formatDuration(task.duration))}`);
+    if (task.priority === 'high') meta.push('❗ wichtig');
+    const id = encodeURIComponent(task.id);
+    const hidden = `<input type="hidden" name="back" value="${escapeHtml(back)}">`;
+
+    return `<li${isStep ? ' class="step"' : ''}>
+  <form method="post" action="/web/tasks/${id}/complete">${hidden}<button title="Erledigt">✅</button></form>
+  <span class="text">${escapeHtml(itemLabel(task))}<br><span class="meta">${meta.join(' · ')}</span></span>
+  <a class="button" href="/web/tasks/${id}/edit?back=${encodeURIComponent(back)}" title="Bearbeiten">✏️</a>
+  <form method="post" action="/web/tasks/${id}/delete">${hidden}<button title="Löschen">🗑️</button></form>
+</li>`;
+  }
+
+  function options(values, selected, labels = {}) {
+    return values.map(value => `<option value="${escapeHtml(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(labels[value] || value)}</option>`).join('');
+  }
+
+  router.get('/', handle(async (req, res) => {
+    const { household, name } = currentHousehold();
+    const shared = household.shared;
+    const person = req.query.person || '';
+    const location = req.query.location || '';
+    const onlyPersonal = req.query.onlyPersonal === 'true' && person !== '';
+    const back = req.originalUrl;
+
+    const open = await actions.listTasks();
+    const all = await actions.listTasks({ status: 'all' });
+    const tasks = await actions.listTasks({ person: person || null, location: location || null, onlyPersonal });
+    const locations = [...new Set(open.map(t => t.location).filter(Boolean))].sort();
+
+    const sections = actions.groupTaskList(tasks, onlyPersonal).map(section => `<h2>${escapeHtml(section.title)}</h2>
+<ul>${section.tasks.map(t => renderTask(t, back, !section.shared && !person && !household.isShared(t.person), all)
+    + (section.steps.get(t.id) || []).map(step => renderTask(step, back, false, all, true)).join('')).join('')}</ul>`).join('');
+
+    res.send(page(`Aufgaben - ${name}`, `<h1>📋 ${escapeHtml(name)} (${tasks.length})</h1>
+<form class="filters" method="get" action="/web">
+  <select name="person" aria-label="Person"><option value="">Alle</option>${options([...household.names, shared], person)}</select>
+  <select name="location" aria-label="Ort"><option value="">Alle Orte</option>${options(locations, location)}</select>
+  <label style="margin:0"><input type="checkbox" name="onlyPersonal" value="true"${onlyPersonal ? ' checked' : ''}> nur persönliche</label>
+  <button type="submit">Filtern</button>
+</form>
+${sections || `<p class="muted">${open.length === 0 ? 'Alles erledigt! 🎉' : 'Keine passenden Aufgaben.'}</p>`}
+<footer>
+  <form method="post" action="/web/undo"><input type="hidden" name="back" value="${escapeHtml(back)}"><button>↩️ Rückgängig</button></form>
+  <form method="post" action="/web/logout"><button>Abmelden</button></form>
+</footer>`));
+  }));
+
+  // Open task by ID, or a 404 page
+  async function findTask(req, res) {
+    const task = (await currentHousehold().store.getAll()).find(t => t.id === req.params.id);
+    if (!task || task.status === 'done') {
+      res.status(404).send(page('Nicht gefunden', '<h1>❓ Aufgabe nicht gefunden</h1><p><a href="/web">Zurück</a></p>'));
+      return null;
+    }
+    return task;
+  }
+
+  router.get('/tasks/:id/edit', handle(async (req, res) => {
+    const task = await findTask(req, res);
+    if (!task) return;
+    const { household } = currentHousehold();
+    const shared = household.shared;
+    const back = safeBack(req.query.back);
+    const people = [...new Set([...household.names, shared, task.person].filter(Boolean))];
+
+    res.send(page('Aufgabe bearbeiten', `<h1>✏️ Aufgabe bearbeiten</h1>
+<form method="post" action="/web/tasks/${encodeURIComponent(task.id)}">
+  <input type="hidden" name="back" value="${escapeHtml(back)}">
+  <label for="task">Aufgabe</label><input type="text" id="task" name="task" value="${escapeHtml(task.task)}" required>
+  <label for="person">Person</label><select id="person" name="person">${options(people, task.person)}</select>
+  <label for="location">Ort</label><input type="text" id="location" name="location" value="${escapeHtml(task.location)}">
+  <label for="when">Wann (z.B. "morgen um 18 Uhr", "3.5.")</label><input type="text" id="when" name="when" value="${escapeHtml(actions.formatDue(task))}">
+  <label for="category">Kategorie</label><select id="category" name="category">${options([...new Set([...CATEGORIES, task.category])], task.category)}</select>
+  <label for="duration">Dauer in Minuten</label><input type="number" id="duration" name="duration" min="1" value="${escapeHtml(task.duration || '')}">
+  <label for="priority">Priorität</label><select id="priority" name="priority">${options(PRIORITIES, task.priority || 'normal', PRIORITY_LABELS)}</select>
+  <p><button type="submit">Speichern</button> <a class="button" href="${escapeHtml(back)}">Abbrechen</a></p>
+</form>`));
+  }));
+
+  router.post('/tasks/:id', handle(async (req, res) => {
+    const task = await findTask(req, res);
+    if (!task) return;
+    const updates = {};
+    ['task', 'person', 'location', 'category', 'duration', 'priority'].forEach(field => {
+      const value = (req.body[field] || '').trim();
+      const current = field === 'priority' ? task.priority || 'normal' : task[field];
+      if (value && value !== current) updates[field] = value;
+    });
+    const when = (req.body.when || '').trim();
+    if (when && when !== actions.formatDue(task)) updates.when = when;
+
+    if (Object.keys(updates).length > 0) {
+      await actions.updateFoundTask(task, updates);
+    }
+    res.redirect(safeBack(req.body.back));
+  }));
+
+  router.post('/tasks/:id/complete', handle(async (req, res) => {
+    const task = await findTask(req, res);
+    if (!task) return;
+    await actions.completeFoundTask(task, req.webUser);
+    res.redirect(safeBack(req.body.back));
+  }));
+
+  router.post('/tasks/:id/delete', handle(async (req, res) => {
+    const task = await findTask(req, res);
+    if (!task) return;
+    await actions.deleteFoundTask(task);
+    res.redirect(safeBack(req.body.back));
+  }));
+
+  router.post('/undo', handle(async (req, res) => {
+    await actions.undoLastAction();
+    res.redirect(safeBack(req.body.back));
+  }));
+
+  router.post('/logout', handle(async (req, res) => {
+    await sessions.logout(readCookie(req, COOKIE_NAME));
+    res.set('Set-Cookie', `${COOKIE_NAME}=; Path=/web; HttpOnly; SameSite=Lax; Max-Age=0`);
+    res.redirect('/web/login');
+  }));
+
+  return router;
+}
+
+module.exports = {
+  createWebSessions,
+  createWebRouter
+};
@@ -0,0 +1,222 @@
+// when.js - Parse German/English due dates and times ("übermorgen",
+// "in 3 Tagen", "nächste Woche Freitag", "Ende des Monats", "3.5.",
+// "morgen um 18 Uhr", "friday at 6pm")
+//
+// parseWhen(text, now) returns { date: 'YYYY-MM-DD', time: 'HH:MM' | '' } or
+// null if the text isn't a date. `now` is the wall-clock time of the household
+// (see nowIn in dates.js), so "heute" means the household's today.
+const { formatDate } = require('./dates');
+
+const WEEKDAYS = {
+  sonntag: 0, sunday: 0, so: 0, sun: 0,
+  montag: 1, monday: 1, mo: 1, mon: 1,
+  dienstag: 2, tuesday: 2, di: 2, tue: 2,
+  mittwoch: 3, wednesday: 3, mi: 3, wed: 3,
+  donnerstag: 4, thursday: 4, do: 4, thu: 4,
+  freitag: 5, friday: 5, fr: 5, fri: 5,
+  samstag: 6, saturday: 6, sa: 6, sat: 6
+};
+
+const MONTHS = {
+  januar: 1, jänner: 1, january: 1, jan: 1,
+  februar: 2, february: 2, feb: 2,
+  märz: 3, maerz: 3, march: 3, mär: 3, mar: 3,
+  april: 4, apr: 4,
+  mai: 5, may: 5,
+  juni: 6, june: 6, jun: 6,
+  juli: 7, july: 7, jul: 7,
+  august: 8, aug: 8,
+  september: 9, sept: 9, sep: 9,
+  oktober: 10, october: 10, okt: 10, oct: 10,
+  november: 11, nov: 11,
+  dezember: 12, december: 12, dez: 12, dec: 12
+};
+
+const NUMBER_WORDS = {
+  ein: 1, eine: 1, einem: 1, einer: 1, einen: 1, a: 1, an: 1, one: 1,
+  zwei: 2, two: 2, drei: 3, three: 3, vier: 4, four: 4, fünf: 5, five: 5,
+  sechs: 6, six: 6, sieben: 7, seven: 7, acht: 8, eight: 8, neun: 9, nine: 9,
+  zehn: 10, ten: 10, elf: 11, eleven: 11, zwölf: 12, twelve: 12
+};
+
+// Vague times of day
+const DAY_TIMES = {
+  früh: '08:00', morgens: '08:00', 'in the morning': '08:00',
+  vormittags: '10:00', vormittag: '10:00',
+  mittags: '12:00', mittag: '12:00', noon: '12:00',
+  nachmittags: '15:00', nachmittag: '15:00', 'in the afternoon': '15:00',
+  abends: '18:00', abend: '18:00', 'in the evening': '18:00', tonight: '18:00',
+  nachts: '22:00'
+};
+
+const WEEKDAY_PATTERN = Object.keys(WEEKDAYS).sort((a, b) => b.length - a.length).join('|');
+const MONTH_PATTERN = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|');
+const NUMBER_PATTERN = `\\d+|${Object.keys(NUMBER_WORDS).sort((a, b) => b.length - a.length).join('|')}`;
+
+function toNumber(word) {
+  return /^\d+$/.test(word) ? parseInt(word, 10) : NUMBER_WORDS[word];
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+function addMonths(date, months) {
+  const result = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(date.getDate(), lastDay));
+  return result;
+}
+
+// Next given weekday after today (today itself counts for `includeToday`)
+function nextWeekday(today, day, includeToday = false) {
+  const days = (day - today.getDay() + 7) % 7;
+  return addDays(today, days === 0 && !includeToday ? 7 : days);
+}
+
+function validDate(year, month, day) {
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+}
+
+// Day and month without a year: this year, or next year if already past
+function upcomingDate(today, month, day, year) {
+  if (year !== undefined) {
+    return validDate(year < 100 ? 2000 + year : year, month, day);
+  }
+  const date = validDate(today.getFullYear(), month, day);
+  if (date && date < today) return validDate(today.getFullYear() + 1, month, day);
+  return date;
+}
+
+// Cut the time of day out of the text; returns [time, remaining text]
+function extractTime(text) {
+  const patterns = [
+    // 18:30, 18.30 Uhr, um 18 Uhr, 18h
+    /(?:\bum\s+|\bat\s+|\bgegen\s+)?\b(\d{1,2})(?:[:.](\d{2}))?\s*(?:uhr\b|h\b)/,
+    /(?:\bum\s+|\bat\s+|\bgegen\s+)?\b(\d{1,2}):(\d{2})\b(?:\s*(am|pm)\b)?/,
+    // 6pm, at 6 pm
+    /(?:\bat\s+)?\b(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)\b/,
+    // um 18 (only with "um"/"at")
+    /\b(?:um|at)\s+(\d{1,2})\b(?![.:]?\d)/
+  ];
+
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (!match) continue;
+
+    let hours = parseInt(match[1], 10);
+    const minutes = match[2] ? parseInt(match[2], 10) : 0;
+    const suffix = match[3];
+    if (suffix === 'pm' && hours < 12) hours += 12;
+    if (suffix === 'am' && hours === 12) hours = 0;
+    if (hours > 23 || minutes > 59) continue;
+
+    // "heute abend um 8" → 20:00
+    const rest = text.replace(match[0], ' ');
+    if (hours < 12 && /(^|\s)(abends?|nachmittags?|in the evening|in the afternoon)(?=\s|$)/.test(rest)) hours += 12;
+    const time = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    return [time, rest.replace(/(^|\s)(abends?|nachmittags?|vormittags?|morgens|früh|in the evening|in the afternoon|in the morning)(?=\s|$)/g, ' ')];
+  }
+
+  const dayTimes = Object.keys(DAY_TIMES).sort((a, b) => b.length - a.length);
+  for (const words of dayTimes) {
+    const time = DAY_TIMES[words];
+    const pattern = new RegExp(`(^|\\s)${words}(?=\\s|$)`);
+    if (pattern.test(text)) {
+      return [time, text.replace(pattern, ' ')];
+    }
+  }
+  return ['', text];
+}
+
+// The date part of the text (time already removed), or null
+function parseDay(text, today) {
+  if (text === '') return null;
+
+  // 2027-05-03
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) return validDate(+match[1], +match[2], +match[3]);
+
+  // 3.5. / 03.05.2027 / 3.5.27 / 3/5 (day first)
+  match = text.match(/^(\d{1,2})[./](\d{1,2})(?:[./](\d{2,4})?)?$/);
+  if (match) return upcomingDate(today, +match[2], +match[1], match[3] ? +match[3] : undefined);
+
+  // 3. Mai / 3 May 2027 / 3rd of may
+  match = text.match(new RegExp(`^(\\d{1,2})(?:\\.|st|nd|rd|th)?\\s+(?:of\\s+)?(${MONTH_PATTERN})\\.?(?:\\s+(\\d{4}))?$`));
+  if (match) return upcomingDate(today, MONTHS[match[2]], +match[1], match[3] ? +match[3] : undefined);
+
+  // May 3 / May 3rd, 2027
+  match = text.match(new RegExp(`^(${MONTH_PATTERN})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?,?(?:\\s+(\\d{4}))?$`));
+  if (match) return upcomingDate(today, MONTHS[match[1]], +match[2], match[3] ? +match[3] : undefined);
+
+  if (/^(heute|today|tonight|jetzt|now)$/.test(text)) return today;
+  if (/^(morgen|tomorrow)$/.test(text)) return addDays(today, 1);
+  if (/^(übermorgen|uebermorgen|the day after tomorrow|day after tomorrow)$/.test(text)) return addDays(today, 2);
+
+  // in 3 Tagen / in zwei Wochen / in a month
+  match = text.match(new RegExp(`^in\\s+(${NUMBER_PATTERN})\\s+(tag|tage|tagen|day|days|woche|wochen|week|weeks|monat|monate|monaten|month|months)$`));
+  if (match) {
+    const count = toNumber(match[1]);
+    if (/^(tag|day)/.test(match[2])) return addDays(today, count);
+    if (/^(woche|week)/.test(match[2])) return addDays(today, count * 7);
+    return addMonths(today, count);
+  }
+
+  // Ende des Monats / Monatsende / end of (the) month
+  if (/^(ende\s+(des|diese[ns])\s+monats|monatsende|end\s+of\s+(the\s+)?month)$/.test(text)) {
+    return new Date(today.getFullYear(), today.getMonth() + 1, 0);
+  }
+  if (/^(ende\s+nächste[ns]\s+monats|end\s+of\s+next\s+month)$/.test(text)) {
+    return new Date(today.getFullYear(), today.getMonth() + 2, 0);
+  }
+  // Anfang nächsten Monats / nächsten Monat / next month
+  if (/^((anfang\s+)?nächste[ns]\s+monats?|next\s+month|beginning\s+of\s+next\s+month)$/.test(text)) {
+    return new Date(today.getFullYear(), today.getMonth() + 1, 1);
+  }
+  // Wochenende / am Wochenende / this weekend
+  if (/^((am\s+|dieses\s+)?wochenende|(this\s+|on\s+the\s+)?weekend)$/.test(text)) {
+    return nextWeekday(today, 6, true);
+  }
+  // Ende der Woche / end of the week → Friday
+  if (/^(ende\s+der\s+woche|end\s+of\s+(the\s+)?week)$/.test(text)) {
+    return nextWeekday(today, 5, true);
+  }
+
+  // nächste Woche Freitag / Freitag nächste Woche / next week friday
+  match = text.match(new RegExp(`^(?:(?:nächste|kommende)\\s+woche|next\\s+week)\\s+(?:am\\s+|on\\s+)?(${WEEKDAY_PATTERN})$`))
+    || text.match(new RegExp(`^(?:am\\s+|on\\s+)?(${WEEKDAY_PATTERN})\\s+(?:(?:nächste|kommende)\\s+woche|next\\s+week)$`));
+  if (match) {
+    const monday = nextWeekday(today, 1);
+    return addDays(monday, (WEEKDAYS[match[1]] + 6) % 7);
+  }
+  // nächste Woche / next week → Monday
+  if (/^((nächste|kommende)\s+woche|next\s+week)$/.test(text)) {
+    return nextWeekday(today, 1);
+  }
+
+  // Freitag / am Freitag / nächsten Freitag / next friday / on friday
+  match = text.match(new RegExp(`^(?:am\\s+|on\\s+|this\\s+|diese[nm]?\\s+|nächste[nm]?\\s+|kommende[nm]?\\s+|next\\s+)?(${WEEKDAY_PATTERN})s?$`));
+  if (match) return nextWeekday(today, WEEKDAYS[match[1]]);
+
+  return null;
+}
+
+function parseWhen(input, now = new Date()) {
+  if (!input || typeof input !== 'string') return null;
+  const text = input.toLowerCase().replace(/,/g, ' ').replace(/\s+/g, ' ').trim();
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+  const [time, rest] = extractTime(text);
+  // "am 3.5. um 9", "on 3 may": the preposition isn't part of the date
+  const dayText = rest.replace(/\b(am|on)$/, '').replace(/\s+/g, ' ').trim().replace(/^(?:am|an|on)\s+(?=\d)/, '');
+
+  // Only a time ("um 18 Uhr") means today
+  const date = dayText === '' && time ? today : parseDay(dayText, today);
+  if (!date) return null;
+  return { date: formatDate(date), time };
+}
+
+module.exports = { parseWhen };
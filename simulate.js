@@ -0,0 +1,125 @@
+// simulate.js - Chat with the bot in the terminal instead of Telegram
+//
+//   npm run simulate -- --user Moana --mock mock-script.json
+//
+// Runs the same message pipeline as bot.js against a local task file
+// (data/simulator by default), so the production chat and sheet stay untouched.
+// Messages can also be piped in: npm run simulate -- --no-ai < bug-report.txt
+const path = require('path');
+const readline = require('readline');
+
+const HELP = `Type a message, or:
+  :1, :2, ...      press button 1, 2, ... of the latest reply
+  :voice <file>    send an audio file as voice message
+  :user <Name>     write as another household member
+  :group           write in a group chat (:private to go back)
+  :quit            exit`;
+
+function parseArgs(argv) {
+  const options = { dataDir: 'data/simulator', user: null, group: false, mock: null, ai: true, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--user') options.user = argv[++i];
+    else if (arg === '--data') options.dataDir = argv[++i];
+    else if (arg === '--mock') options.mock = argv[++i];
+    else if (arg === '--no-ai') options.ai = false;
+    else if (arg === '--group') options.group = true;
+    else if (arg === '--verbose') options.verbose = true;
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+if (options.help) {
+  console.log(`Usage: node simulate.js [--user <Name>] [--group] [--data <dir>] [--mock <script.json> | --no-ai] [--verbose]\n\n${HELP}`);
+  process.exit(0);
+}
+
+// Set before bot.js loads .env, which never overrides existing variables
+const dataDir = path.resolve(options.dataDir);
+process.env.BOT_SIMULATOR = 'true';
+process.env.TASK_STORE = 'file';
+process.env.TASK_STORE_PATH = path.join(dataDir, 'tasks.json');
+process.env.STATE_PATH = path.join(dataDir, 'state.json');
+['ALLOWED_USERS', 'ALLOWED_CHATS', 'ADMIN_USERS'].forEach(name => { process.env[name] = ''; });
+if (options.mock) {
+  process.env.LLM_PROVIDER = 'mock';
+  process.env.LLM_MOCK_SCRIPT = path.resolve(options.mock);
+} else if (!options.ai) {
+  process.env.LLM_PROVIDER = 'none';
+}
+if (options.verbose) process.env.DEBUG_MODE = 'true';
+
+// Startup and debug logs only with --verbose
+const log = console.log;
+if (!options.verbose) console.log = () => {};
+
+const { bot } = require('./bot');
+const { loadHousehold } = require('./lib/household');
+
+// Stable fake Telegram IDs per name, so /ichbin links survive restarts
+const userIds = new Map();
+function userFor(name) {
+  if (!userIds.has(name)) userIds.set(name, 1000 + userIds.size);
+  return { id: userIds.get(name), is_bot: false, first_name: name };
+}
+
+let from = userFor(options.user || loadHousehold().names[0]);
+let group = options.group;
+const groupChat = { id: -1000, type: 'group', title: 'Simulator' };
+const chat = () => (group ? groupChat : { id: from.id, type: 'private', first_name: from.first_name });
+
+async function handleLine(line) {
+  const text = line.trim();
+  if (!text) return true;
+
+  if (text === ':quit' || text === ':q') return false;
+  if (text === ':help') {
+    log(HELP);
+  } else if (/^:\d+$/.test(text)) {
+    await bot.press(parseInt(text.slice(1), 10), from, chat());
+  } else if (text.startsWith(':voice ')) {
+    await bot.voice(text.slice(7).trim(), from, chat());
+  } else if (text.startsWith(':user')) {
+    const name = text.slice(5).trim();
+    if (name) from = userFor(name);
+    log(`You are ${from.first_name} (ID ${from.id})`);
+  } else if (text === ':group' || text === ':private') {
+    group = text === ':group';
+    log(group ? 'Group chat' : 'Private chat');
+  } else if (text.startsWith(':')) {
+    log(`Unknown command ${text} - :help lists the commands`);
+  } else {
+    await bot.send(text, from, chat());
+  }
+  return true;
+}
+
+async function main() {
+  const interactive = process.stdin.isTTY;
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: interactive });
+  const prompt = () => {
+    rl.setPrompt(`${from.first_name}${group ? ' (group)' : ''}> `);
+    rl.prompt();
+  };
+  rl.on('SIGINT', () => rl.close());
+
+  log(`Simulator - tasks in ${process.env.TASK_STORE_PATH}. :help lists the commands.`);
+  if (interactive) prompt();
+
+  for await (const line of rl) {
+    // Echo piped input so the transcript reads like a chat
+    if (!interactive && line.trim()) log(`${from.first_name}> ${line}`);
+    if (!await handleLine(line)) break;
+    if (interactive) prompt();
+  }
+  rl.close();
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,23 @@
+// matching.test.js - Finding the task a message refers to
+const test = require('node:test');
+const assert = require('node:assert');
+const { findTaskMatches } = require('../lib/matching');
+
+const tasks = [
+  { id: 'a', task: 'Hafermilch', person: 'Beide', status: 'pending' },
+  { id: 'b', task: 'Milch', person: 'Beide', status: 'pending' }
+];
+
+test('the exact name wins over a longer word containing it', () => {
+  assert.strictEqual(findTaskMatches(tasks, 'Milch', 'Jeremy').match.id, 'b');
+  assert.strictEqual(findTaskMatches(tasks, 'Hafermilch', 'Jeremy').match.id, 'a');
+});
+
+test('a partial name still finds the only candidate', () => {
+  assert.strictEqual(findTaskMatches([tasks[0]], 'Milch', 'Jeremy').match.id, 'a');
+});
+
+test('done tasks and filler words don\'t match', () => {
+  assert.deepStrictEqual(findTaskMatches([{ ...tasks[1], status: 'done' }], 'Milch', 'Jeremy'), {});
+  assert.deepStrictEqual(findTaskMatches(tasks, '', 'Jeremy'), {});
+});
@@ -0,0 +1,26 @@
+// recurrence.test.js - RRULEs from text and the next due date
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseRecurrence, nextOccurrence } = require('../lib/recurrence');
+
+test('rules from text', () => {
+  assert.strictEqual(parseRecurrence('jeden Montag'), 'FREQ=WEEKLY;INTERVAL=1;BYDAY=MO');
+  assert.strictEqual(parseRecurrence('alle 2 Wochen'), 'FREQ=WEEKLY;INTERVAL=2');
+  assert.strictEqual(parseRecurrence('monatlich'), 'FREQ=MONTHLY;INTERVAL=1');
+});
+
+test('next occurrence of a weekday', () => {
+  assert.strictEqual(nextOccurrence('FREQ=WEEKLY;BYDAY=MO', '2026-10-19', new Date(2026, 9, 19)), '2026-10-26');
+});
+
+test('monthly on the 31st stays within shorter months', () => {
+  assert.strictEqual(nextOccurrence('FREQ=MONTHLY', '2026-01-31', new Date(2026, 0, 31)), '2026-02-28');
+});
+
+test('occurrences in the past are skipped', () => {
+  assert.strictEqual(nextOccurrence('FREQ=WEEKLY;INTERVAL=2', '2026-09-01', new Date(2026, 9, 19)), '2026-10-27');
+});
+
+test('no rule, no next occurrence', () => {
+  assert.strictEqual(nextOccurrence('', '2026-09-01'), '');
+});
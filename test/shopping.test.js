@@ -0,0 +1,29 @@
+// shopping.test.js - Quantities and units of shopping items
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseQuantity, formatQuantity, mergeQuantities } = require('../lib/shopping');
+
+test('quantities before and after the name', () => {
+  assert.deepStrictEqual(parseQuantity('2x Hafermilch'), { name: 'Hafermilch', quantity: 2, unit: '' });
+  assert.deepStrictEqual(parseQuantity('Hafermilch x2'), { name: 'Hafermilch', quantity: 2, unit: '' });
+  assert.deepStrictEqual(parseQuantity('500g Mehl'), { name: 'Mehl', quantity: 500, unit: 'g' });
+  assert.deepStrictEqual(parseQuantity('1,5 l Milch'), { name: 'Milch', quantity: 1.5, unit: 'l' });
+  assert.deepStrictEqual(parseQuantity('3 Packungen Nudeln'), { name: 'Nudeln', quantity: 3, unit: 'Packung' });
+});
+
+test('a bare number only counts for shopping items', () => {
+  assert.deepStrictEqual(parseQuantity('3 Bewerbungen schreiben'), { name: '3 Bewerbungen schreiben', quantity: null, unit: '' });
+  assert.deepStrictEqual(parseQuantity('2 Milch', { bare: true }), { name: 'Milch', quantity: 2, unit: '' });
+});
+
+test('amounts of the same measure add up', () => {
+  assert.deepStrictEqual(mergeQuantities({ quantity: null, unit: '' }, { quantity: null, unit: '' }), { quantity: 2, unit: '' });
+  assert.deepStrictEqual(mergeQuantities({ quantity: 500, unit: 'g' }, { quantity: 1, unit: 'kg' }), { quantity: 1500, unit: 'g' });
+  assert.strictEqual(mergeQuantities({ quantity: 1, unit: 'Packung' }, { quantity: 200, unit: 'g' }), null);
+});
+
+test('large amounts are shown in the larger unit', () => {
+  assert.strictEqual(formatQuantity(1500, 'g'), '1,5 kg');
+  assert.strictEqual(formatQuantity(2, 'Packung'), '2 Packungen');
+  assert.strictEqual(formatQuantity(2), '2x');
+});
@@ -0,0 +1,57 @@
+// storage.test.js - Local JSON file backend
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStore } = require('../lib/storage');
+
+const dirs = [];
+function tempFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tasks-'));
+  dirs.push(dir);
+  return path.join(dir, 'tasks.json');
+}
+
+test.after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+test('add, update and remove by ID', async () => {
+  const store = createFileStore(tempFile());
+  assert.deepStrictEqual(await store.getAll(), []);
+
+  const [milk, bread] = await store.add([
+    { date: '2026-10-19', person: 'Beide', task: 'Milch', status: 'pending' },
+    { date: '2026-10-19', person: 'Beide', task: 'Brot', status: 'pending' }
+  ]);
+  assert.ok(milk.id && bread.id && milk.id !== bread.id);
+
+  await store.update({ ...milk, status: 'done' });
+  await store.remove(bread);
+  const rows = await store.getAll();
+  assert.strictEqual(rows.length, 1);
+  assert.strictEqual(rows[0].id, milk.id);
+  assert.strictEqual(rows[0].status, 'done');
+
+  await assert.rejects(store.update({ ...bread, status: 'done' }), /nicht gefunden/);
+});
+
+test('older files get IDs once and lose cleared rows', async () => {
+  const filePath = tempFile();
+  fs.writeFileSync(filePath, JSON.stringify({ rows: [
+    { date: '2026-10-01', person: 'Beide', task: 'Milch', status: 'pending' },
+    null,
+    { date: '2026-10-01', person: 'Beide', task: '', status: 'pending' },
+    { id: 'keep', date: '2026-10-01', person: 'Beide', task: 'Brot', status: 'pending' }
+  ] }));
+
+  const store = createFileStore(filePath);
+  const rows = await store.getAll();
+  assert.deepStrictEqual(rows.map(row => row.task), ['Milch', 'Brot']);
+  assert.ok(rows[0].id);
+  assert.strictEqual(rows[1].id, 'keep');
+
+  // The new IDs are written back, so they stay the same on the next read
+  const saved = JSON.parse(fs.readFileSync(filePath, 'utf8')).rows;
+  assert.deepStrictEqual(saved.map(row => row.id), rows.map(row => row.id));
+  assert.deepStrictEqual((await store.getAll()).map(row => row.id), rows.map(row => row.id));
+});
@@ -0,0 +1,35 @@
+// when.test.js - Dates and times in free text ("am 3.5. um 9", "Ende des Monats")
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseWhen } = require('../lib/when');
+
+// Monday, 19 October 2026, 10:00
+const NOW = new Date(2026, 9, 19, 10, 0);
+
+test('numeric dates that already passed this year are next year', () => {
+  assert.deepStrictEqual(parseWhen('3.5.', NOW), { date: '2027-05-03', time: '' });
+  assert.deepStrictEqual(parseWhen('24.12.', NOW), { date: '2026-12-24', time: '' });
+});
+
+test('a leading "am" before a numeric date is ignored', () => {
+  assert.deepStrictEqual(parseWhen('am 3.5.', NOW), { date: '2027-05-03', time: '' });
+  assert.deepStrictEqual(parseWhen('am 3.5. um 9', NOW), { date: '2027-05-03', time: '09:00' });
+});
+
+test('weekday of next week', () => {
+  assert.deepStrictEqual(parseWhen('nächste Woche Freitag', NOW), { date: '2026-10-30', time: '' });
+});
+
+test('end of the month', () => {
+  assert.deepStrictEqual(parseWhen('Ende des Monats', NOW), { date: '2026-10-31', time: '' });
+});
+
+test('dates that don\'t exist are rejected', () => {
+  assert.strictEqual(parseWhen('31.2.', NOW), null);
+  assert.strictEqual(parseWhen('31.2.2027', NOW), null);
+});
+
+test('"tonight" and "abends" share the evening default', () => {
+  assert.deepStrictEqual(parseWhen('tonight', NOW), { date: '2026-10-19', time: '18:00' });
+  assert.deepStrictEqual(parseWhen('heute abend', NOW), { date: '2026-10-19', time: '18:00' });
+});